@@ -0,0 +1,96 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+// Compare the writes per second of autocommit with those of a transaction
+// for every write.  Run it with `npm run benchmark` against the database
+// the tests use.
+
+require('../test/init.js');
+
+var async = require('async');
+var Transaction = require('loopback-connector').Transaction;
+
+var WRITES = parseInt(process.env.BENCHMARK_WRITES, 10) || 200;
+
+var db = global.getDataSource();
+var Item = db.define('BenchItem', {
+  name: {type: String},
+  qty: {type: Number},
+});
+
+// Run the given number of writes one after another and pass on the writes
+// per second
+function measure(write, cb) {
+  var start = Date.now();
+  async.timesSeries(WRITES, write, function(err) {
+    if (err) return cb(err);
+    var elapsed = Math.max(Date.now() - start, 1);
+    cb(null, Math.round(WRITES * 1000 / elapsed));
+  });
+}
+
+// The write path before the autocommit one: a transaction of its own for
+// every write
+function createInTransaction(i, cb) {
+  Transaction.begin(db.connector, Transaction.REPEATABLE_READ,
+    function(err, tx) {
+      if (err) return cb(err);
+      Item.create({name: 'tx' + i, qty: i}, {transaction: tx}, function(err) {
+        if (err) {
+          return tx.rollback(function() {
+            cb(err);
+          });
+        }
+        tx.commit(cb);
+      });
+    });
+}
+
+function createInAutocommit(i, cb) {
+  Item.create({name: 'ac' + i, qty: i}, cb);
+}
+
+function updateWithLock(i, cb) {
+  Item.updateAll({qty: i}, {name: 'locked'}, {selectForUpdate: true}, cb);
+}
+
+function updateInAutocommit(i, cb) {
+  Item.updateAll({qty: i}, {name: 'autocommit'}, cb);
+}
+
+// Measure the locking write and then the autocommit one and report both
+function compare(name, label, locking, autocommit, cb) {
+  measure(locking, function(err, lockingRate) {
+    if (err) return cb(err);
+    measure(autocommit, function(err, autocommitRate) {
+      if (err) return cb(err);
+      console.log('%s: %d/s %s, %d/s in autocommit', name, lockingRate,
+        label, autocommitRate);
+      cb();
+    });
+  });
+}
+
+async.series([
+  function(cb) {
+    db.automigrate('BenchItem', cb);
+  },
+  function(cb) {
+    compare('create', 'in a transaction each', createInTransaction,
+      createInAutocommit, cb);
+  },
+  function(cb) {
+    compare('updateAll', 'with selectForUpdate', updateWithLock,
+      updateInAutocommit, cb);
+  },
+], function(err) {
+  if (err) {
+    console.error(err);
+    process.exitCode = 1;
+  }
+  db.disconnect();
+});
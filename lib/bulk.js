@@ -0,0 +1,368 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var debug = require('debug')('loopback:connector:informix:bulk');
+var Transaction = require('loopback-connector').Transaction;
+
+module.exports = mixinBulk;
+
+/*!
+ * How many rows are inserted with one prepared statement by default
+ */
+var DEFAULT_BATCH_SIZE = 500;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinBulk(Informix) {
+  /**
+   * Insert many model instances over one connection in one transaction.
+   * Consecutive rows that set the same properties share a prepared
+   * statement, `options.batchSize` rows (500 by default) at a time.
+   *
+   * The callback gets the ids of the rows in input order, including the
+   * values generated for rows without an id.  By default the first
+   * failing row rolls back the whole insert and its error, with the
+   * `index` of the row, is passed on.  With `options.continueOnError` the
+   * failing rows are skipped instead: their id is undefined and their
+   * errors are passed as the third argument, each with the `index` of its
+   * row, while the other rows are committed.  The instances of a versioned
+   * model are given the first version of their rows.
+   *
+   * @param {string} model The model name
+   * @param {Object[]} data The model instances
+   * @param {Object} [options] The options object
+   * @param {Function} cb The callback function, called as
+   * `cb(err, ids, failures)`
+   */
+  Informix.prototype.createAll = function(model, data, options, cb) {
+    debug('Informix.prototype.createAll %j', model);
+    var self = this;
+
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    if (!Array.isArray(data)) {
+      return process.nextTick(function() {
+        cb(new Error(g.f('{{createAll()}} expects an array of instances')));
+      });
+    }
+
+    if (!data.length) {
+      return process.nextTick(function() {
+        cb(null, [], []);
+      });
+    }
+
+    var batches;
+    try {
+      var versionProperty = self.versionProperty(model);
+      if (versionProperty) {
+        // Give the instances the versions their rows are inserted with
+        data.forEach(function(instance) {
+          instance[versionProperty] =
+            self.applyInitialVersion(model, instance)[versionProperty];
+        });
+      }
+      batches = self.buildInsertBatches(model, data, options);
+    } catch (err) {
+      return process.nextTick(function() {
+        cb(err);
+      });
+    }
+
+    if (options.transaction) {
+      return insertBatches(self, options.transaction.connection, model,
+        batches, options, function(err, ids, failures) {
+          if (err) {
+            return cb(self.normalizeError(err));
+          }
+          cb(null, ids, failures);
+        });
+    }
+
+    self.withRetry(options, function(done) {
+      self.beginTransaction(Transaction.READ_COMMITTED, function(err, conn) {
+        if (err) {
+          return done(err);
+        }
+        insertBatches(self, conn, model, batches, options,
+          function(err, ids, failures) {
+            if (err) {
+              self.abandonTransaction(conn, err);
+              return done(err);
+            }
+            self.commit(conn, function(err) {
+              if (err) {
+                return done(err);
+              }
+              done(null, ids, failures);
+            });
+          });
+      });
+    }, cb);
+  };
+
+  /**
+   * Group the INSERT statements for model instances into batches of
+   * consecutive rows that share the statement
+   *
+   * @param {string} model The model name
+   * @param {Object[]} data The model instances
+   * @param {Object} options The options object
+   * @returns {Object[]} The batches: the `sql` and the `rows`, each with
+   * its `index`, `params` and `id`
+   */
+  Informix.prototype.buildInsertBatches = function(model, data, options) {
+    var self = this;
+    var idName = self.idName(model);
+    var batchSize = parseInt(options.batchSize, 10) || DEFAULT_BATCH_SIZE;
+    var batches = [];
+    var batch;
+
+    data.forEach(function(instance, index) {
+      var stmt = self.buildInsert(model, instance, options);
+      if (!batch || batch.sql !== stmt.sql || batch.rows.length >= batchSize) {
+        batch = {sql: stmt.sql, rows: []};
+        batches.push(batch);
+      }
+      batch.rows.push({
+        index: index,
+        params: stmt.params,
+        id: idName ? instance[idName] : undefined,
+      });
+    });
+    return batches;
+  };
+}
+
+/*!
+ * Run the batches of a bulk insert one after another
+ *
+ * @param {Informix} connector The connector
+ * @param {Object} conn The connection
+ * @param {string} model The model name
+ * @param {Object[]} batches The batches
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function
+ */
+function insertBatches(connector, conn, model, batches, options, cb) {
+  var ids = [];
+  var failures = [];
+
+  function next(i) {
+    if (i >= batches.length) {
+      return cb(null, ids, failures);
+    }
+    insertBatch(connector, conn, model, batches[i], options, ids, failures,
+      function(err) {
+        if (err) {
+          return cb(err);
+        }
+        // Let other work run between batches of a large insert
+        setImmediate(next, i + 1);
+      });
+  }
+
+  next(0);
+}
+
+/*!
+ * The savepoint a batch whose ids are generated is inserted after, for the
+ * rows to be inserted again if their ids cannot be told from the first and
+ * the last
+ */
+var BATCH_SAVEPOINT = 'createall_batch';
+
+/*!
+ * Insert the rows of a batch with one prepared statement.  The ids the
+ * database generates are read once for the batch, see `fetchBatchIds`; if
+ * they cannot be told that way, the batch is rolled back to its savepoint
+ * and inserted again, reading the id of each row after its insert.
+ *
+ * @param {Informix} connector The connector
+ * @param {Object} conn The connection
+ * @param {string} model The model name
+ * @param {Object} batch The batch
+ * @param {Object} options The options object
+ * @param {Array} ids The ids collected so far
+ * @param {Error[]} failures The row errors collected so far
+ * @param {Function} cb The callback function
+ */
+function insertBatch(connector, conn, model, batch, options, ids, failures,
+  cb) {
+  var generated = !!connector.generatedId(model) &&
+    batch.rows.filter(function(row) {
+      return row.id == null;
+    }).length > 1;
+  var failureCount = failures.length;
+
+  conn.prepare(batch.sql, function(err, stmt) {
+    if (err) {
+      return cb(err);
+    }
+
+    function finish(err) {
+      try {
+        stmt.closeSync();
+      } catch (e) {
+        debug('insertBatch close: %j', e);
+      }
+      cb(err);
+    }
+
+    if (!generated) {
+      return insertRows(connector, conn, model, stmt, batch, options, ids,
+        failures, false, finish);
+    }
+    conn.query('SAVEPOINT ' + BATCH_SAVEPOINT, function(err) {
+      if (err) {
+        return finish(err);
+      }
+      insertRows(connector, conn, model, stmt, batch, options, ids,
+        failures, false, function(err, told) {
+          if (err || told) {
+            return release(err);
+          }
+          debug('insertBatch: reading the id of each row');
+          conn.query('ROLLBACK TO SAVEPOINT ' + BATCH_SAVEPOINT,
+            function(err) {
+              if (err) {
+                return finish(err);
+              }
+              failures.length = failureCount;
+              insertRows(connector, conn, model, stmt, batch, options, ids,
+                failures, true, release);
+            });
+        });
+    });
+
+    function release(err) {
+      if (err) {
+        return finish(err);
+      }
+      conn.query('RELEASE SAVEPOINT ' + BATCH_SAVEPOINT, finish);
+    }
+  });
+}
+
+/*!
+ * Insert the rows of a batch with its prepared statement
+ *
+ * @param {Informix} connector The connector
+ * @param {Object} conn The connection
+ * @param {string} model The model name
+ * @param {Object} stmt The prepared statement
+ * @param {Object} batch The batch
+ * @param {Object} options The options object
+ * @param {Array} ids The ids collected so far
+ * @param {Error[]} failures The row errors collected so far
+ * @param {Boolean} eachId True to read the generated id after each row,
+ * else once for the batch
+ * @param {Function} cb The callback function, called with true if the
+ * generated ids could be told
+ */
+function insertRows(connector, conn, model, stmt, batch, options, ids,
+  failures, eachId, cb) {
+  var generated = !!connector.generatedId(model);
+  // The rows whose id the database generated, and the first of those ids
+  var inserted = [];
+  var first;
+
+  function insertRow(i) {
+    if (i >= batch.rows.length) {
+      if (eachId) {
+        return cb(null, true);
+      }
+      return fetchBatchIds(connector, conn, model, inserted, first, options,
+        ids, cb);
+    }
+    var row = batch.rows[i];
+    stmt.executeNonQuery(row.params, function(err) {
+      if (err) {
+        return rowFailed(row, err, i);
+      }
+      if (row.id != null || !generated) {
+        ids[row.index] = row.id;
+        return insertRow(i + 1);
+      }
+      inserted.push(row.index);
+      if (inserted.length > 1 && !eachId) {
+        return insertRow(i + 1);
+      }
+      connector.fetchGeneratedId(conn, model, options, function(err, id) {
+        if (err) {
+          return cb(err);
+        }
+        if (eachId) {
+          ids[row.index] = id;
+        } else {
+          first = id;
+        }
+        insertRow(i + 1);
+      });
+    });
+  }
+
+  function rowFailed(row, err, i) {
+    debug('insertBatch row %d: %j', row.index, err);
+    err = connector.normalizeError(err);
+    if (typeof err === 'object') {
+      err.index = row.index;
+    }
+    if (!options.continueOnError || err.code === 'CONNECTION_ERROR') {
+      return cb(err);
+    }
+    ids[row.index] = undefined;
+    failures.push(err);
+    insertRow(i + 1);
+  }
+
+  insertRow(0);
+}
+
+/*!
+ * Read the ids the database generated for the rows of a batch.  Within a
+ * session the generated values only grow, so if the last one is as far
+ * from the first as there are rows, the rows got the values in between.
+ * Otherwise a failed row or another session used some of them up, and the
+ * ids cannot be told.
+ *
+ * @param {Informix} connector The connector
+ * @param {Object} conn The connection
+ * @param {string} model The model name
+ * @param {Number[]} inserted The indexes of the rows with a generated id
+ * @param {Number|string} first The id generated for the first of them
+ * @param {Object} options The options object
+ * @param {Array} ids The ids collected so far
+ * @param {Function} cb The callback function, called with true if the ids
+ * could be told
+ */
+function fetchBatchIds(connector, conn, model, inserted, first, options, ids,
+  cb) {
+  if (inserted.length <= 1) {
+    if (inserted.length) ids[inserted[0]] = first;
+    return cb(null, true);
+  }
+
+  connector.fetchGeneratedId(conn, model, options, function(err, last) {
+    if (err) {
+      return cb(err);
+    }
+    if (typeof first !== 'number' || typeof last !== 'number' ||
+      last - first !== inserted.length - 1) {
+      return cb(null, false);
+    }
+    inserted.forEach(function(index, i) {
+      ids[index] = first + i;
+    });
+    cb(null, true);
+  });
+}
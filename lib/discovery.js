@@ -135,7 +135,7 @@ function mixinDiscovery(Informix, informix) {
     //   options = {};
     // }
     // options = options || {};
-    this.execute(self.buildQuerySchemas(options), cb);
+    self.execute(self.buildQuerySchemas(options), [], self.readOptions(), cb);
   };
 
   Informix.prototype.setDefaultOptions = function(options) {
@@ -164,12 +164,14 @@ function mixinDiscovery(Informix, informix) {
 
     var self = this;
     var calls = [function(callback) {
-      self.execute(self.buildQueryTables(options), callback);
+      self.execute(self.buildQueryTables(options), [], self.readOptions(),
+        callback);
     }];
 
     if (options.views) {
       calls.push(function(callback) {
-        self.execute(self.buildQueryViews(options), callback);
+        self.execute(self.buildQueryViews(options), [], self.readOptions(),
+          callback);
       });
     }
     async.parallel(calls, function(err, data) {
@@ -279,7 +281,7 @@ function mixinDiscovery(Informix, informix) {
       }
     };
 
-    this.execute(sql, callback);
+    this.execute(sql, [], this.readOptions(), callback);
   };
 
   /**
@@ -328,7 +330,7 @@ function mixinDiscovery(Informix, informix) {
 
     var sql = this.buildQueryPrimaryKeys(schema, table);
 
-    this.execute(sql, cb);
+    this.execute(sql, [], this.readOptions(), cb);
   };
 
   /**
@@ -380,7 +382,7 @@ function mixinDiscovery(Informix, informix) {
     cb = args.cb;
 
     var sql = this.buildQueryForeignKeys(schema, table);
-    this.execute(sql, cb);
+    this.execute(sql, [], this.readOptions(), cb);
   };
 
   /**
@@ -435,7 +437,7 @@ function mixinDiscovery(Informix, informix) {
     cb = args.cb;
 
     var sql = this.buildQueryExportedForeignKeys(schema, table);
-    this.execute(sql, cb);
+    this.execute(sql, [], this.readOptions(), cb);
   };
 
   Informix.prototype.buildPropertyType = function(columnDefinition) {
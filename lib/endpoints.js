@@ -0,0 +1,380 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var debug = require('debug')('loopback:connector:informix:endpoints');
+
+module.exports = mixinEndpoints;
+
+/*!
+ * The settings of an endpoint and the CLI keywords they replace in the
+ * connection string
+ */
+var ENDPOINT_KEYWORDS = [
+  {keyword: 'HOSTNAME', settings: ['hostname', 'host']},
+  {keyword: 'PORT', settings: ['port']},
+  {keyword: 'SERVER', settings: ['servername', 'server']},
+  {keyword: 'PROTOCOL', settings: ['protocol']},
+];
+
+var READ_PREFERENCES = ['primary', 'secondary', 'secondaryPreferred'];
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinEndpoints(Informix) {
+  /**
+   * Set up the secondary servers listed in the `readEndpoints` setting.
+   * Each entry names the `hostname`, `port` and `servername` (and
+   * optionally the `protocol`) of an HDR, RSS or SDS secondary; everything
+   * else is shared with the primary.
+   *
+   * @param {Object} settings The connector settings
+   */
+  Informix.prototype.setReadEndpoints = function(settings) {
+    var self = this;
+
+    self.readPreference = settings.readPreference || 'secondaryPreferred';
+    var err = readPreferenceError(self.readPreference);
+    if (err) {
+      throw err;
+    }
+    self.probeInterval = parseInt(settings.probeInterval, 10) || 30000;
+    self.readEndpointIndex = 0;
+    self.readEndpoints = (settings.readEndpoints || []).map(function(spec) {
+      return self.createEndpoint(spec);
+    });
+  };
+
+  /**
+   * Set up the ordered list of `servers` the connector fails over between.
+   * The first server is the preferred one.  A string names an sqlhosts
+   * group instead, which the client library resolves and fails over
+   * within by itself.
+   *
+   * @param {Object} settings The connector settings
+   */
+  Informix.prototype.setServers = function(settings) {
+    var self = this;
+    var servers = settings.servers || [];
+
+    if (!Array.isArray(servers)) {
+      servers = [servers];
+    }
+    self.servers = servers.map(function(spec) {
+      return self.createEndpoint(spec);
+    });
+    self.activeServer = self.servers[0];
+    if (self.activeServer) {
+      self.connStr = self.activeServer.connStr;
+    }
+  };
+
+  /**
+   * Describe the server at the given address
+   *
+   * @param {Object|string} spec The `hostname`, `port`, `servername` and
+   * `protocol` of the server, or the name of an sqlhosts group
+   * @returns {Object} The endpoint
+   */
+  Informix.prototype.createEndpoint = function(spec) {
+    var self = this;
+    var overrides = {};
+
+    if (typeof spec === 'string') {
+      // Leave the address of the group members to sqlhosts
+      overrides = {SERVER: spec, HOSTNAME: null, PORT: null, PROTOCOL: null};
+    }
+    ENDPOINT_KEYWORDS.forEach(function(k) {
+      k.settings.forEach(function(setting) {
+        if (spec[setting] != null && !(k.keyword in overrides)) {
+          overrides[k.keyword] = spec[setting];
+        }
+      });
+    });
+
+    var endpoint = {
+      name: typeof spec === 'string' ? spec :
+        (overrides.SERVER ? overrides.SERVER + '@' : '') +
+        overrides.HOSTNAME + (overrides.PORT ? ':' + overrides.PORT : ''),
+      overrides: overrides,
+      downUntil: 0,
+    };
+    endpoint.connStr = self.buildConnectionString(self.name,
+      self.connectionSettings, overrides);
+    return endpoint;
+  };
+
+  /**
+   * Copy the options of a read operation, adding the configured
+   * `readPreference` unless the caller chose one or the read is part of a
+   * transaction, which always runs on the primary.
+   *
+   * @param {Object} [options] The options object
+   * @returns {Object} The options for the read
+   */
+  Informix.prototype.readOptions = function(options) {
+    options = options || {};
+    if (!this.readEndpoints.length || options.transaction ||
+      options.readPreference) {
+      return options;
+    }
+
+    var readOptions = {};
+    Object.keys(options).forEach(function(key) {
+      readOptions[key] = options[key];
+    });
+    readOptions.readPreference = this.readPreference;
+    return readOptions;
+  };
+
+  /**
+   * Get a connection for a statement according to its
+   * `options.readPreference`: `primary` (the default) runs it on the
+   * primary, `secondary` on one of the `readEndpoints` and
+   * `secondaryPreferred` on a secondary while one is available, else on the
+   * primary.  The secondaries take turns and a secondary that cannot be
+   * reached is skipped for `probeInterval` milliseconds.
+   *
+   * @param {Object} options The options object
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.routeConnection = function(options, cb) {
+    var self = this;
+    var preference = options.readPreference || 'primary';
+    var err = readPreferenceError(preference);
+
+    if (err) {
+      return process.nextTick(function() {
+        cb(err);
+      });
+    }
+    if (preference === 'primary' || !self.readEndpoints.length) {
+      return self.connect(cb);
+    }
+
+    var endpoint = self.nextReadEndpoint();
+    if (!endpoint) {
+      if (preference === 'secondaryPreferred') {
+        return self.connect(cb);
+      }
+      err = new Error(g.f('No read endpoint is available'));
+      err.code = 'CONNECTION_ERROR';
+      err.statusCode = 503;
+      return process.nextTick(function() {
+        cb(err);
+      });
+    }
+
+    debug('Informix.prototype.routeConnection %s', endpoint.name);
+    self.openConnection(endpoint, function(err, conn) {
+      if (err && self.normalizeError(err).code === 'CONNECTION_ERROR') {
+        self.markEndpointDown(endpoint, err);
+        return self.routeConnection(options, cb);
+      }
+      cb(err, conn);
+    });
+  };
+
+  /**
+   * Get the next secondary that is not known to be down
+   *
+   * @returns {Object} The endpoint, or undefined if none is available
+   */
+  Informix.prototype.nextReadEndpoint = function() {
+    var endpoints = this.readEndpoints;
+    var now = Date.now();
+
+    for (var i = 0; i < endpoints.length; i++) {
+      var endpoint = endpoints[this.readEndpointIndex++ % endpoints.length];
+      if (endpoint.downUntil <= now) {
+        return endpoint;
+      }
+    }
+    return undefined;
+  };
+
+  /**
+   * Take a secondary out of rotation for `probeInterval` milliseconds
+   *
+   * @param {Object} endpoint The endpoint
+   * @param {Error} err The error that showed it is down
+   */
+  Informix.prototype.markEndpointDown = function(endpoint, err) {
+    debug('Informix.prototype.markEndpointDown %s: %s', endpoint.name,
+      err && err.message);
+    endpoint.downUntil = Date.now() + this.probeInterval;
+    this.retireConnections(endpoint.connStr);
+  };
+
+  /**
+   * Move on from a server that cannot be reached to the next one of the
+   * `servers` that is not known to be down, emitting a `failover` event on
+   * the data source.  The server is skipped for `probeInterval`
+   * milliseconds, and the preferred servers are probed at that interval
+   * until one of them is back.
+   *
+   * @param {Object} server The server that failed
+   * @param {Error} err The connection error
+   * @param {Function} cb The callback function, called with the error if
+   * there is no server left to fail over to
+   */
+  Informix.prototype.failover = function(server, err, cb) {
+    var self = this;
+
+    if (server !== self.activeServer) {
+      // A concurrent connection attempt has already failed over
+      return process.nextTick(cb);
+    }
+
+    server.downUntil = Date.now() + self.probeInterval;
+    var now = Date.now();
+    var next = self.servers.filter(function(s) {
+      return s.downUntil <= now;
+    })[0];
+    if (!next) {
+      debug('Informix.prototype.failover no server left after %s',
+        server.name);
+      return process.nextTick(function() {
+        cb(err);
+      });
+    }
+
+    self.switchServer(next, 'failover', err);
+    process.nextTick(cb);
+  };
+
+  /**
+   * Make the given server the active one
+   *
+   * @param {Object} server The server
+   * @param {string} event The event to emit, `failover` or `failback`
+   * @param {Error} [err] The error that caused the change
+   */
+  Informix.prototype.switchServer = function(server, event, err) {
+    var self = this;
+    var previous = self.activeServer;
+
+    debug('Informix.prototype.switchServer %s: %s -> %s', event,
+      previous.name, server.name);
+    self.activeServer = server;
+    self.connStr = server.connStr;
+    self.retireConnections(previous.connStr);
+    self.scheduleProbe();
+    if (self.dataSource) {
+      self.dataSource.emit(event, {
+        from: previous.name,
+        to: server.name,
+        error: err,
+      });
+    }
+  };
+
+  /**
+   * Start probing the preferred servers while the active server is not
+   * the first one, and stop once it is
+   */
+  Informix.prototype.scheduleProbe = function() {
+    var self = this;
+
+    if (self.servers.indexOf(self.activeServer) <= 0) {
+      clearInterval(self.probeTimer);
+      self.probeTimer = null;
+      return;
+    }
+    if (self.probeTimer) {
+      return;
+    }
+    self.probeTimer = setInterval(function() {
+      self.probeServers();
+    }, self.probeInterval);
+    // Probing alone must not keep the process alive
+    if (self.probeTimer.unref) {
+      self.probeTimer.unref();
+    }
+  };
+
+  /**
+   * Try the servers preferred over the active one in order, and fail back
+   * to the first one that accepts a connection with a `failback` event.
+   *
+   * @param {Function} [cb] The callback function
+   */
+  Informix.prototype.probeServers = function(cb) {
+    var self = this;
+    var candidates = self.servers.slice(0,
+      self.servers.indexOf(self.activeServer));
+
+    function probe(i) {
+      if (i >= candidates.length) {
+        return cb && cb();
+      }
+      var server = candidates[i];
+      self.openConnection(server, function(err, conn) {
+        if (err) {
+          debug('Informix.prototype.probeServers %s: %s', server.name,
+            err.message);
+          return probe(i + 1);
+        }
+        conn.close(function() {
+          if (self.servers.indexOf(server) <
+            self.servers.indexOf(self.activeServer)) {
+            server.downUntil = 0;
+            self.switchServer(server, 'failback');
+          }
+          return cb && cb();
+        });
+      });
+    }
+
+    probe(0);
+  };
+
+  /**
+   * Return a connection to the pool once a statement is done with it.  A
+   * connection that failed with a connection error is closed instead, and
+   * the secondary it belongs to is taken out of rotation.  A
+   * connection whose statement timed out is closed as well, as it may
+   * still be busy.
+   *
+   * @param {Object} conn The connection
+   * @param {Error} err The error of the statement, if any
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.releaseConnection = function(conn, err, cb) {
+    var code = err && this.normalizeError(err).code;
+    if (code === 'TIMEOUT') {
+      return this.discardConnection(conn, cb);
+    }
+    if (code !== 'CONNECTION_ERROR') {
+      return conn.close(function() {
+        cb();
+      });
+    }
+
+    var self = this;
+    self.readEndpoints.forEach(function(endpoint) {
+      if (endpoint.connStr === conn.connStr) {
+        self.markEndpointDown(endpoint, err);
+      }
+    });
+    self.discardConnection(conn, cb);
+  };
+}
+
+/*!
+ * Check a read preference
+ *
+ * @param {string} preference The read preference
+ * @returns {Error} The error if the preference is not known
+ */
+function readPreferenceError(preference) {
+  if (READ_PREFERENCES.indexOf(preference) === -1) {
+    return new Error(g.f('Invalid {{readPreference}}: %s', preference));
+  }
+  return undefined;
+}
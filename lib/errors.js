@@ -0,0 +1,155 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var debug = require('debug')('loopback:connector:informix:errors');
+
+module.exports = mixinErrors;
+
+/*!
+ * Normalized error codes keyed by Informix SQLCODE
+ */
+var SQLCODES = {
+  '-239': {code: 'DUPLICATE_KEY', statusCode: 409},
+  '-268': {code: 'DUPLICATE_KEY', statusCode: 409},
+  '-691': {code: 'FOREIGN_KEY_VIOLATION', statusCode: 422},
+  '-692': {code: 'FOREIGN_KEY_VIOLATION', statusCode: 409},
+  '-391': {code: 'NOT_NULL_VIOLATION', statusCode: 422},
+  '-703': {code: 'NOT_NULL_VIOLATION', statusCode: 422},
+  '-530': {code: 'CHECK_VIOLATION', statusCode: 422},
+  '-143': {code: 'DEADLOCK', statusCode: 503},
+  '-154': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-244': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-252': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-263': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-271': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-213': {code: 'TIMEOUT', statusCode: 504},
+  '-908': {code: 'CONNECTION_ERROR', statusCode: 503},
+  '-25580': {code: 'CONNECTION_ERROR', statusCode: 503},
+  '-25582': {code: 'CONNECTION_ERROR', statusCode: 503},
+  '-30081': {code: 'CONNECTION_ERROR', statusCode: 503},
+};
+
+/*!
+ * The ISAM code explains what went wrong underneath a generic SQLCODE such
+ * as -244 (could not do a physical-order read), so it takes precedence
+ */
+var ISAMCODES = {
+  '-100': {code: 'DUPLICATE_KEY', statusCode: 409},
+  '-107': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-113': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-143': {code: 'DEADLOCK', statusCode: 503},
+  '-144': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '-154': {code: 'LOCK_TIMEOUT', statusCode: 503},
+};
+
+/*!
+ * Fallbacks for errors that carry only a SQLSTATE
+ */
+var SQLSTATES = {
+  '23505': {code: 'DUPLICATE_KEY', statusCode: 409},
+  '23502': {code: 'NOT_NULL_VIOLATION', statusCode: 422},
+  '23503': {code: 'FOREIGN_KEY_VIOLATION', statusCode: 422},
+  '23504': {code: 'FOREIGN_KEY_VIOLATION', statusCode: 409},
+  '23513': {code: 'CHECK_VIOLATION', statusCode: 422},
+  '40001': {code: 'DEADLOCK', statusCode: 503},
+  '57033': {code: 'LOCK_TIMEOUT', statusCode: 503},
+  '08001': {code: 'CONNECTION_ERROR', statusCode: 503},
+  '08003': {code: 'CONNECTION_ERROR', statusCode: 503},
+  '08004': {code: 'CONNECTION_ERROR', statusCode: 503},
+  '08S01': {code: 'CONNECTION_ERROR', statusCode: 503},
+  'HYT00': {code: 'TIMEOUT', statusCode: 504},
+  'HY008': {code: 'TIMEOUT', statusCode: 504},
+};
+
+/*!
+ * Names reported as "(Unique Index:ix101_1)" or "constraint (informix.r1)"
+ */
+var INDEX_PATTERN =
+  /\((?:Unique (?:Index|Constraint)|Constraint)\s*:([^)]+)\)/i;
+var CONSTRAINT_PATTERN = /constraint \(([^)]+)\)/i;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinErrors(Informix) {
+  /**
+   * Give a database error a stable `code` and a suggested HTTP `statusCode`.
+   * The SQLCODE, ISAM code and SQLSTATE are parsed from the driver error
+   * and, where the message names them, the offending `constraint` and
+   * `column` are set as well.  Errors that are not recognized, or that
+   * already carry a code of their own, are returned unchanged.
+   *
+   * @param {Error} err The error reported by the driver
+   * @returns {Error} The normalized error
+   */
+  Informix.prototype.normalizeError = function(err) {
+    if (!err || typeof err !== 'object' || err.code) {
+      return err;
+    }
+
+    var message = String(err.message || '');
+    var sqlcode = err.sqlcode != null ? Number(err.sqlcode) :
+      matchNumber(/\((-\d+)\)/, message);
+    var isamCode = err.isamCode != null ? Number(err.isamCode) :
+      matchNumber(/ISAM error[^(]*\((-\d+)\)/i, message);
+    var state = err.state || err.sqlstate ||
+      match(/SQLSTATE=(\w{5})/, message);
+
+    var mapping = ISAMCODES[isamCode] || SQLCODES[sqlcode] ||
+      SQLSTATES[state] || messageMapping(message);
+    if (!mapping) {
+      return err;
+    }
+
+    var error = err instanceof Error ? err : new Error(message);
+    if (error !== err) {
+      Object.keys(err).forEach(function(key) {
+        error[key] = err[key];
+      });
+    }
+    error.code = mapping.code;
+    error.statusCode = mapping.statusCode;
+    if (sqlcode != null) error.sqlcode = sqlcode;
+    if (isamCode != null) error.isamCode = isamCode;
+    if (state) error.state = state;
+
+    var constraint = match(INDEX_PATTERN, message) ||
+      match(CONSTRAINT_PATTERN, message);
+    if (constraint) error.constraint = constraint.trim();
+    var column = match(/column \(([^)]+)\)/i, message);
+    if (column) error.column = column.split('.').pop().trim();
+
+    debug('Informix.prototype.normalizeError %s: %s', error.code, message);
+    return error;
+  };
+}
+
+/*!
+ * Recognize the errors from drivers that report neither SQLCODE nor SQLSTATE
+ *
+ * @param {string} message The error message
+ * @returns {Object} The mapping, if any
+ */
+function messageMapping(message) {
+  if (/deadlock/i.test(message)) {
+    return ISAMCODES['-143'];
+  }
+  if (/record is locked|lock timeout/i.test(message)) {
+    return ISAMCODES['-107'];
+  }
+  return undefined;
+}
+
+function match(pattern, str) {
+  var m = pattern.exec(str);
+  return m ? m[1] : undefined;
+}
+
+function matchNumber(pattern, str) {
+  var m = match(pattern, str);
+  return m === undefined ? undefined : Number(m);
+}
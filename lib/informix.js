@@ -26,10 +26,18 @@ var Transaction = require('loopback-connector').Transaction;
 exports.initialize = function(ds, cb) {
   ds.connector = new Informix(ds.settings);
   ds.connector.dataSource = ds;
+  if (ds.modelBuilder && ds.modelBuilder.mixins) {
+    ds.modelBuilder.mixins.define('Streamable', exports.Streamable);
+  }
 
   cb();
 };
 
+/**
+ * The model mixin that adds `Model.stream()`
+ */
+exports.Streamable = require('./stream').streamable;
+
 /**
  * The constructor for the Informix LoopBack connector
  *
@@ -38,12 +46,21 @@ exports.initialize = function(ds, cb) {
  */
 function Informix(settings) {
   IBMDB.call(this, 'Informix', settings);
+  this.startPoolMonitor(this.connectionSettings);
+  this.startPoolMaintenance();
 };
 
 util.inherits(Informix, IBMDB);
 
 Informix.prototype.setConnectionProperties = function(name, settings) {
   var self = this;
+  var explicitSchema = settings.schema;
+  var urlSettings;
+  if (settings.url) {
+    urlSettings = self.parseConnectionUrl(settings.url);
+    settings = self.mergeUrlSettings(urlSettings, settings);
+  }
+
   self.dbname = (settings.database || settings.db || 'testdb');
   self.dsn = settings.dsn;
   self.hostname = (settings.hostname || settings.host);
@@ -51,6 +68,8 @@ Informix.prototype.setConnectionProperties = function(name, settings) {
   self.password = settings.password;
   self.portnumber = settings.port;
   self.protocol = (settings.protocol || 'TCPIP');
+  self.authentication =
+    String(settings.authentication || 'SERVER').toUpperCase();
 
   // Save off the connectionOptions passed in for connection pooling
   self.connectionOptions = {};
@@ -59,24 +78,20 @@ Informix.prototype.setConnectionProperties = function(name, settings) {
   self.connectionOptions.connectionTimeout =
     parseInt(settings.connectionTimeout, 10) || 60;
 
-  var dsn = settings.dsn;
-  if (dsn) {
-    self.connStr = dsn;
+  // Keep the resolved settings so the connection string can be rebuilt
+  // when a passwordProvider hands out a new password
+  self.connectionSettings = settings;
+  self.connStr = self.buildConnectionString(name, settings);
+  self.setReadEndpoints(settings);
+  self.setServers(settings);
 
-    var DSNObject = self.parseDSN(dsn);
+  if (settings.dsn) {
+    var DSNObject = self.parseDSN(settings.dsn);
     self.schema = DSNObject.CurrentSchema || DSNObject.UID;
+  } else if (urlSettings && !explicitSchema) {
+    // Same rule as for a DSN: the schema named in the URL, else the user
+    self.schema = urlSettings.schema || self.username;
   } else {
-    var connStrGenerate =
-      'DRIVER={' + name + '}' +
-      ';DATABASE=' + this.dbname +
-      ';HOSTNAME=' + this.hostname +
-      ';UID=' + this.username +
-      ';PWD=' + this.password +
-      ';PORT=' + this.portnumber +
-      ';PROTOCOL=' + this.protocol +
-      ';AUTHENTICATION=SERVER';
-    self.connStr = connStrGenerate;
-
     self.schema = this.username;
     if (settings.schema) {
       self.schema = settings.schema.toUpperCase();
@@ -84,15 +99,38 @@ Informix.prototype.setConnectionProperties = function(name, settings) {
   }
 };
 
+/**
+ * Stop the timers that probe the servers, report the pool statistics and
+ * maintain the pooled connections
+ *
+ * @param {Function} [cb] The callback function
+ */
+Informix.prototype.disconnect = function(cb) {
+  clearInterval(this.probeTimer);
+  this.probeTimer = null;
+  clearInterval(this.poolStatsTimer);
+  this.poolStatsTimer = null;
+  clearInterval(this.poolMaintenanceTimer);
+  this.poolMaintenanceTimer = null;
+  if (cb) {
+    process.nextTick(cb);
+  }
+};
+
 /**
  * Escape the table name.  For informix this is a no-op as
  * the SQL processing doesn't accept escaped names.  This
  * function is maintained for consistency with other
- * connectors.
+ * connectors.  The name is qualified with the schema of the call, if any.
+ *
+ * @param {string} model The model name
+ * @param {Object} [options] The options object
+ * @returns {string} The table name
  */
-Informix.prototype.tableEscaped = function(model) {
+Informix.prototype.tableEscaped = function(model, options) {
   var escapedName = this.escapeName(this.table(model));
-  return escapedName;
+  var schema = this.resolveSchema(options);
+  return schema ? schema + '.' + escapedName : escapedName;
 };
 
 /**
@@ -102,16 +140,15 @@ Informix.prototype.tableEscaped = function(model) {
 Informix.prototype.ping = function(cb) {
   debug('Informix.prototype.ping');
   var self = this;
-  var sql = 'SELECT COUNT(*) AS COUNT FROM SYSTABLES';
 
   if (self.dataSource.connection) {
-    ping(self.dataSource.connection, cb);
+    self.validateConnection(self.dataSource.connection, cb);
   } else {
     self.connect(function(err, conn) {
       if (err) {
         return cb(err);
       }
-      ping(conn, function(err, res) {
+      self.validateConnection(conn, function(err, res) {
         conn.close(function(cerr) {
           if (err || cerr) {
             return cb(err || cerr);
@@ -121,13 +158,68 @@ Informix.prototype.ping = function(cb) {
       });
     });
   }
+};
 
-  function ping(conn, cb) {
-    conn.query(sql, function(err, rows) {
+/**
+ * Execute the sql statement, normalizing any error reported for it and
+ * retrying it as configured by the `retry` setting.  Statements with a
+ * `readPreference` in the options may run on a secondary server.
+ *
+ * @param {string} sql The SQL statement
+ * @param {Array} params The parameter values
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function
+ */
+Informix.prototype.executeSQL = function(sql, params, options, callback) {
+  debug('Informix.prototype.executeSQL %s %j', sql, params);
+  var self = this;
+  var stmt = {
+    sql: sql,
+    params: params,
+    noResults: !!options.noResultSet,
+  };
+
+  self.withRetry(options, function(done) {
+    if (options.transaction) {
+      return self.runStatement(options.transaction.connection, stmt, options,
+        done);
+    }
+
+    self.routeConnection(options, function(err, conn) {
       if (err) {
-        return cb(err);
+        return done(err);
       }
-      cb(null, rows.length > 0 && rows[0]['COUNT'] > 0);
+      self.runStatement(conn, stmt, options, function(err, data) {
+        self.releaseConnection(conn, err, function() {
+          done(err, data);
+        });
+      });
+    });
+  }, callback);
+};
+
+/**
+ * Find all model instances matching the filter, on a secondary server if
+ * `readEndpoints` are configured.  A filter with an `after` or `before`
+ * cursor, or options with a `page` object, asks for a page by keyset,
+ * whose cursors are passed to the callback as its third argument.
+ *
+ * @param {string} model The model name
+ * @param {Object} filter The filter object
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function
+ */
+Informix.prototype.all = function(model, filter, options, cb) {
+  if (this.isKeysetPage(filter, options)) {
+    return this.allByKeyset(model, filter, options, cb);
+  }
+  try {
+    IBMDB.prototype.all.call(this, model, filter, this.readOptions(options),
+      cb);
+  } catch (err) {
+    // A where clause the connector cannot build
+    process.nextTick(function() {
+      cb(err);
     });
   }
 };
@@ -152,7 +244,7 @@ function dateToInformix(val) {
     fillZeros(val.getHours()) + ':' +
     fillZeros(val.getMinutes()) + ':' +
     fillZeros(val.getSeconds()) + '.' +
-    fillZeros(val.getMilliseconds());
+    ('00' + val.getMilliseconds()).slice(-3);
   return dateStr;
 
   function fillZeros(v) {
@@ -259,7 +351,8 @@ Informix.prototype.getPlaceholderForValue = function(key) {
 };
 
 /**
- * Build the `DELETE FROM` SQL statement
+ * Delete all instances that match the where clause, passing on how many
+ * rows the DELETE removed
  *
  * @param {string} model The model name
  * @param {Object} where The where object
@@ -270,67 +363,27 @@ Informix.prototype.destroyAll = function(
   model, where, options, callback) {
   debug('Informix.prototype.destroyAll %j %j %j', model, where, options);
   var self = this;
-  var tableName = self.tableEscaped(model);
-  var id = self.idName(model);
-  var deleteStmt = self.buildDelete(model, where, options);
-  var selectStmt = new ParameterizedSQL('SELECT ' + id + ' FROM ' +
-                                        tableName);
-  selectStmt.merge(self.buildWhere(model, where));
-  selectStmt.merge(' FOR UPDATE');
-  self.parameterize(selectStmt);
-
-  var executeTransaction = function(connection, cb) {
-    connection.query(selectStmt, function(err, selectData) {
-      debug('Informix.prototype.destroyAll stmt: %j data: %j', selectStmt,
-             selectData);
-      if (err) {
-        return cb(err);
-      }
-
-      connection.query(deleteStmt, null, function(err, deleteData) {
-        debug('Informix.prototype.destroyAll stmt: %j data: %j', deleteStmt,
-              deleteData);
-        if (err) {
-          return cb(err);
-        }
-
-        return cb(null, {'count': selectData.length});
-      });
-    });
-  };
-
-  // If a transaction hasn't already been started, then start a local one now.
-  // We will have to deal with cleaning this up in the event some error
-  // occurs in the code below.
-  if (options.transaction) {
-    executeTransaction(options.transaction.connection, function(err, retVal) {
-      if (err) {
-        return callback(err);
-      }
-      callback(null, data);
-    });
-  } else {
-    self.beginTransaction(Transaction.REPEATABLE_READ, function(err, conn) {
-      if (err) {
-        return callback(err);
-      } else {
-        executeTransaction(conn, function(err, data) {
-          if (err) {
-            self.rollback(conn, function(err) {});
-            conn.close(function(err) {});
-            return callback(err);
-          }
-
-          self.commit(conn, function(err) {});
-          callback(null, data);
-        });
-      }
+  var deleteStmt;
+  try {
+    deleteStmt = self.buildDelete(model, where, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
     });
   }
+
+  self.executeWrite(model, deleteStmt, where, options, function(err, count) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, {count: count});
+  });
 };
 
 /**
- * Create the data model in Informix
+ * Create the data model in Informix.  Without `options.transaction` the
+ * INSERT runs in autocommit on a pooled connection, which also reads the
+ * generated id.
  *
  * @param {string} model The model name
  * @param {Object} data The model instance data
@@ -340,101 +393,232 @@ Informix.prototype.destroyAll = function(
 Informix.prototype.create = function(model, data, options, callback) {
   debug('Informix.prototype.create %j %j, %j', model, data, options);
   var self = this;
-  var insertStmt = self.buildInsert(model, data, options);
 
-  var executeTransaction = function(connection, cb) {
-    connection.query(insertStmt, options, function(err, data) {
-      debug('Informix.prototype.create stmt: %j data: %j err: %j',
-             insertStmt, data, err);
-      if (err) {
-        return cb(err);
-      } else {
-        connection.query('SELECT DBINFO (\'sqlca.sqlerrd1\') as id ' +
-                     'FROM systables ' +
-                     'WHERE tabid = 1', function(err, info) {
-          debug('Informix.prototype.create info: %j err: %j', info, err);
-          if (err) {
-            return cb(err);
-          } else {
-            return cb(err, info[0].id);
-          }
-        });
-      }
+  self.withAutocommit(options, function(connection, cb) {
+    self.insertInstance(connection, model, data, options, cb);
+  }, callback);
+};
+
+/**
+ * Update all instances that match the where clause with the given data.
+ * The result of a versioned write also holds the `version` the rows were
+ * moved on to, if the connector set it rather than the statement.
+ *
+ * @param {string} model The model name
+ * @param {Object} where The where object
+ * @param {Object} data The property/value object representing changes
+ * to be made
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function
+ */
+Informix.prototype.update = function(
+  model, where, data, options, callback) {
+  var self = this;
+  var versionProperty, expectedVersion, nextVersion, updateWhere, updateStmt;
+
+  try {
+    versionProperty = self.versionProperty(model);
+    expectedVersion = versionProperty && data[versionProperty];
+    data = self.applyNextVersion(model, data, expectedVersion);
+    nextVersion = versionProperty && data[versionProperty];
+    updateWhere = where;
+    // A versioned write only changes the rows still at the version it read
+    if (expectedVersion != null) {
+      var versionWhere = {};
+      versionWhere[versionProperty] = expectedVersion;
+      updateWhere = where && Object.keys(where).length ?
+        {and: [where, versionWhere]} : versionWhere;
+    }
+    updateStmt = self.buildUpdate(model, updateWhere, data, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
     });
-  };
+  }
 
-  // If a transaction hasn't already been started, then start a local one now.
-  // We will have to deal with cleaning this up in the event some error
-  // occurs in the code below.
-  if (options.transaction) {
-    executeTransaction(options.transaction.connection, function(err, retVal) {
+  self.executeWrite(model, updateStmt, updateWhere, options,
+    function(err, count) {
       if (err) {
         return callback(err);
       }
-      callback(null, retVal);
+      if (expectedVersion != null && !count) {
+        return self.checkStaleVersion(model, where, options, expectedVersion,
+          callback);
+      }
+      var info = {count: count};
+      if (count && nextVersion != null) {
+        info.version = nextVersion;
+      }
+      callback(null, info);
     });
-  } else {
-    self.beginTransaction(Transaction.REPEATABLE_READ, function(err, conn) {
-      if (err) {
-        return callback(err);
-      } else {
-        executeTransaction(conn, function(err, retVal) {
-          if (err) {
-            self.rollback(conn, function(err) {});
-            conn.close(function(err) {});
-            return callback(err);
-          }
+};
 
-          self.commit(conn, function(err) {});
-          callback(null, retVal);
-        });
+/**
+ * Replace the instance with an id: the properties missing from the data are
+ * set to NULL.  The write is an UPDATE in the schema of the call, like that
+ * of `update`, and the version a versioned instance was moved on to is
+ * applied to the instance.
+ *
+ * @param {string} model The model name
+ * @param {*} id The id value
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function
+ */
+Informix.prototype.replaceById = function(
+  model, id, data, options, callback) {
+  var self = this;
+  var idName = self.idName(model);
+  var where = {};
+  where[idName] = id;
+  var replaceData = {};
+  Object.keys(self.getModelDefinition(model).properties).forEach(
+    function(prop) {
+      if (!self.id(model, prop)) {
+        replaceData[prop] = data[prop] === undefined ? null : data[prop];
       }
     });
-  }
+
+  self.update(model, where, replaceData, options, function(err, info) {
+    if (err) {
+      return callback(err);
+    }
+    if (!info.count) {
+      err = new Error(g.f('Could not replace. Object with id %s does not ' +
+        'exist!', id));
+      err.statusCode = err.status = 404;
+      return callback(err);
+    }
+    if (info.version !== undefined) {
+      self.applyWrittenVersion(model, where, options, info.version);
+    }
+    callback(null, info);
+  });
 };
 
 /**
- * Update all instances that match the where clause with the given data
+ * Tell if there is an instance with an id, in the schema of the call
  *
  * @param {string} model The model name
- * @param {Object} where The where object
- * @param {Object} data The property/value object representing changes
- * to be made
+ * @param {*} id The id value
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function, called with true if
+ * there is one
+ */
+Informix.prototype.exists = function(model, id, options, callback) {
+  var where = {};
+  where[this.idName(model)] = id;
+  this.count(model, where, options, function(err, count) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, count > 0);
+  });
+};
+
+/**
+ * Explain a versioned write that changed no rows: a conflict if rows match
+ * its where clause at another version, else a count of 0
+ *
+ * @param {string} model The model name
+ * @param {Object} where The where object, without the version
  * @param {Object} options The options object
+ * @param {*} expectedVersion The version the write expected
  * @param {Function} callback The callback function
  */
-Informix.prototype.update = function(
-  model, where, data, options, callback) {
+Informix.prototype.checkStaleVersion = function(
+  model, where, options, expectedVersion, callback) {
   var self = this;
-  var tableName = self.tableEscaped(model);
-  var id = self.idName(model);
-  var updateStmt = self.buildUpdate(model, where, data, options);
-  var selectStmt = new ParameterizedSQL('SELECT ' + id + ' FROM ' +
-                                        tableName);
+  var countOptions = {};
+  Object.keys(options || {}).forEach(function(key) {
+    countOptions[key] = options[key];
+  });
+  // A secondary may not have the row yet
+  countOptions.readPreference = 'primary';
+  self.count(model, where, countOptions, function(err, count) {
+    if (err) {
+      return callback(err);
+    }
+    if (count) {
+      return callback(self.conflictError(model, expectedVersion));
+    }
+    callback(null, {count: 0});
+  });
+};
+
+/**
+ * Tell if the writes of a call lock the rows they match with a
+ * `SELECT ... FOR UPDATE` first: `options.selectForUpdate` if given, else
+ * the `selectForUpdate` setting
+ *
+ * @param {Object} [options] The options object
+ * @returns {Boolean} True to lock the rows first
+ */
+Informix.prototype.selectsForUpdate = function(options) {
+  var selectForUpdate = options && options.selectForUpdate != null ?
+    options.selectForUpdate : this.connectionSettings.selectForUpdate;
+  return !!selectForUpdate;
+};
+
+/**
+ * Run an UPDATE or DELETE and pass on the number of rows it changed.  The
+ * statement runs on its own, in `options.transaction` or else in
+ * autocommit on a pooled connection, and the count is the row count the
+ * driver reports for it.  With `selectForUpdate` the matching rows are
+ * locked and counted with a `SELECT ... FOR UPDATE` first, in a
+ * REPEATABLE READ transaction unless `options.transaction` is given.
+ *
+ * @param {string} model The model name
+ * @param {ParameterizedSQL} stmt The statement
+ * @param {Object} where The where object of the statement
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function, called with the count
+ */
+Informix.prototype.executeWrite = function(
+  model, stmt, where, options, callback) {
+  var self = this;
+
+  if (!self.selectsForUpdate(options)) {
+    var writeOptions = {};
+    Object.keys(options).forEach(function(key) {
+      writeOptions[key] = options[key];
+    });
+    writeOptions.noResultSet = true;
+    return self.execute(stmt.sql, stmt.params, writeOptions,
+      function(err, info) {
+        debug('Informix.prototype.executeWrite stmt: %j info: %j', stmt,
+          info);
+        if (err) {
+          return callback(err);
+        }
+        callback(null, self.getCountForAffectedRows(model, info) || 0);
+      });
+  }
 
+  var selectStmt = new ParameterizedSQL('SELECT ' +
+    self.buildKeyColumns(model) + ' FROM ' +
+    self.tableEscaped(model, options));
   selectStmt.merge(self.buildWhere(model, where));
   selectStmt.merge(' FOR UPDATE');
   self.parameterize(selectStmt);
-
-  var updateData;
+  stmt.noResults = true;
 
   var executeTransaction = function(connection, cb) {
-    connection.query(selectStmt.sql, selectStmt.params, function(err, data) {
-      debug('Informix.prototype.update stmt: %j data: %j', selectStmt, data);
+    self.runStatement(connection, selectStmt, options, function(err, rows) {
+      debug('Informix.prototype.executeWrite stmt: %j data: %j', selectStmt,
+        rows);
       if (err) {
         return cb(err);
       }
 
-      connection.query(updateStmt.sql, updateStmt.params,
-        function(err, updateData) {
-          debug('Informix.prototype.update stmt: %j data: %j', updateStmt,
-                updateData);
-          if (err) {
-            return cb(err);
-          }
-
-          return cb(null, data.length);
-        });
+      self.runStatement(connection, stmt, options, function(err, info) {
+        debug('Informix.prototype.executeWrite stmt: %j info: %j', stmt,
+          info);
+        if (err) {
+          return cb(err);
+        }
+        return cb(null, rows.length);
+      });
     });
   };
 
@@ -442,28 +626,32 @@ Informix.prototype.update = function(
   // We will have to deal with cleaning this up in the event some error
   // occurs in the code below.
   if (options.transaction) {
-    executeTransaction(options.transaction.connection, function(err, retVal) {
+    executeTransaction(options.transaction.connection, function(err, count) {
       if (err) {
-        return callback(err);
+        return callback(self.normalizeError(err));
       }
-      callback(null, {count: retVal});
+      callback(null, count);
     });
   } else {
-    self.beginTransaction(Transaction.REPEATABLE_READ, function(err, conn) {
-      if (err) {
-        return callback(err);
-      } else {
-        executeTransaction(conn, function(err, retVal) {
+    self.withRetry(options, function(done) {
+      self.beginTransaction(Transaction.REPEATABLE_READ, function(err, conn) {
+        if (err) {
+          return done(err);
+        }
+        executeTransaction(conn, function(err, count) {
           if (err) {
-            self.rollback(conn, function(err) {});
-            conn.close(function(err) {});
-            return callback(err);
+            self.abandonTransaction(conn, err);
+            return done(err);
           }
-          self.commit(conn, function(err) {});
-          callback(null, {count: retVal});
+          self.commit(conn, function(err) {
+            if (err) {
+              return done(err);
+            }
+            done(null, count);
+          });
         });
-      }
-    });
+      });
+    }, callback);
   }
 };
 
@@ -489,11 +677,18 @@ Informix.prototype.count = function(model, where, options, cb) {
   // uses the escaped "cnt" alias which Informix doesn't like.  The proper
   // fix for this is to change loopback-connector to call this.escapeName
   // to properly escape for each connector.
-  var stmt = new ParameterizedSQL('SELECT COUNT(*) as cnt FROM ' +
-    self.tableEscaped(model));
-  stmt = stmt.merge(self.buildWhere(model, where));
+  var stmt;
+  try {
+    stmt = new ParameterizedSQL('SELECT COUNT(*) as cnt FROM ' +
+      self.tableEscaped(model, options));
+    stmt = stmt.merge(self.buildWhere(model, where));
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
   stmt = self.parameterize(stmt);
-  self.execute(stmt.sql, stmt.params,
+  self.execute(stmt.sql, stmt.params, self.readOptions(options),
     function(err, res) {
       if (err) {
         return cb(err);
@@ -558,7 +753,7 @@ Informix.prototype.buildSelect = function(model, filter, options) {
 
   var selectStmt = new ParameterizedSQL(stmt +
     this.buildColumnNames(model, filter) +
-    ' FROM ' + this.tableEscaped(model)
+    ' FROM ' + this.tableEscaped(model, options)
   );
 
   if (filter) {
@@ -578,14 +773,99 @@ Informix.prototype.buildSelect = function(model, filter, options) {
  * Drop the table for the given model from the database
  *
  * @param {string} model The model name
+ * @param {Object} [options] The options object, naming the `schema`
  * @param {Function} [cb] The callback function
  */
-Informix.prototype.dropTable = function(model, cb) {
+Informix.prototype.dropTable = function(model, options, cb) {
   var self = this;
-  var sql = 'DROP TABLE IF EXISTS ' + self.tableEscaped(model);
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  var sql;
+  try {
+    sql = 'DROP TABLE IF EXISTS ' + self.tableEscaped(model, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      if (cb) cb(err);
+    });
+  }
   self.execute(sql, cb);
 };
 
+/**
+ * Create the table for the given model, with its indexes, in the schema of
+ * the call or else in the schema of the connector
+ *
+ * @param {string} model The model name
+ * @param {Object} [options] The options object, naming the `schema`
+ * @param {Function} [cb] The callback function
+ */
+Informix.prototype.createTable = function(model, options, cb) {
+  debug('Informix.prototype.createTable');
+  var self = this;
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  var stmtOptions = {noResultSet: true};
+  var statements;
+  try {
+    statements = self.buildCreateTable(model, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      if (cb) cb(err);
+    });
+  }
+
+  async.eachSeries(statements, function(sql, done) {
+    self.execute(sql, null, stmtOptions, done);
+  }, cb);
+};
+
+/**
+ * Get the connector as seen by the DDL builders of loopback-ibmdb, which
+ * qualify the table with the schema of the connector: the schema of the
+ * call, if any, stands in for it
+ *
+ * @param {Object} [options] The options object, naming the `schema`
+ * @returns {Informix} The connector for the builders
+ */
+Informix.prototype.ddlBuilder = function(options) {
+  var self = this;
+  return Object.create(self, {
+    schema: {value: self.resolveSchema(options) || self.schema},
+    tableEscaped: {value: function(model) {
+      return self.escapeName(self.table(model));
+    }},
+  });
+};
+
+/**
+ * Build the statements that create the table for the given model: the
+ * sequence of its ids if any, the table and its indexes
+ *
+ * @param {string} model The model name
+ * @param {Object} [options] The options object, naming the `schema`
+ * @returns {string[]} The statements
+ */
+Informix.prototype.buildCreateTable = function(model, options) {
+  var self = this;
+  var ddlBuilder = self.ddlBuilder(options);
+  var schema = ddlBuilder.schema;
+  var tableName = schema + '.' + self.escapeName(self.table(model));
+
+  var statements = ['CREATE TABLE ' + tableName + ' (' +
+    self.buildColumnDefinitions(model) + ');']
+    .concat(IBMDB.prototype.buildIndexes.call(ddlBuilder, model));
+  var generated = self.generatedId(model);
+  if (generated && generated.type === 'SEQUENCE') {
+    statements.unshift('CREATE SEQUENCE IF NOT EXISTS ' + schema + '.' +
+      generated.sequence);
+  }
+  return statements;
+};
+
 Informix.prototype.buildColumnDefinitions = function(model) {
   debug('Informix.prototype.buildColumnDefinitions');
   var self = this;
@@ -598,6 +878,10 @@ Informix.prototype.buildColumnDefinitions = function(model) {
     var colName = self.columnEscaped(model, prop);
     sql.push(colName + ' ' + self.buildColumnDefinition(model, prop));
   });
+  // A single id is declared the primary key in its column definition
+  if (pks.length > 1) {
+    sql.push('PRIMARY KEY (' + pks.join(',') + ')');
+  }
 
   return sql.join(',');
 };
@@ -605,14 +889,37 @@ Informix.prototype.buildColumnDefinitions = function(model) {
 Informix.prototype.buildColumnDefinition = function(model, prop) {
   debug('Informix.prototype.buildColumnDefinition %j', prop);
   var p = this.getPropertyDefinition(model, prop);
-  if (p.id && p.generated) {
-    return 'SERIAL NOT NULL PRIMARY KEY';
+  var primaryKey = p.id && this.idNames(model).length === 1 ?
+    ' PRIMARY KEY' : '';
+  var generated = p.id && this.idName(model) === prop &&
+    this.generatedId(model);
+  if (generated && generated.type !== 'SEQUENCE') {
+    return generated.type + ' NOT NULL' + primaryKey;
+  }
+  if (p.id) {
+    return this.columnDataType(model, prop) + ' NOT NULL' + primaryKey;
+  }
+  if (prop === this.versionProperty(model)) {
+    return this.buildVersionColumnDefinition(model, prop);
   }
   var line = this.columnDataType(model, prop) + ' ' +
         ((this.isNullable(p)) ? '' : 'NOT NULL');
   return line;
 };
 
+/**
+ * Build the list of the id columns of a model
+ *
+ * @param {string} model The model name
+ * @returns {string} The escaped column names, separated by commas
+ */
+Informix.prototype.buildKeyColumns = function(model) {
+  var self = this;
+  return self.idNames(model).map(function(idName) {
+    return self.columnEscaped(model, idName);
+  }).join(',');
+};
+
 Informix.prototype.columnDataType = function(model, property) {
   debug('Informix.prototype.columnDataType %j', property);
   var prop = this.getPropertyDefinition(model, property);
@@ -790,94 +1097,454 @@ function(model, rowData) {
  *
  * @param {string} model The model name
  * @param {Object} data The model instance data
+ * @param {Object} options The options object
  * @param {Function} [callback] The callback function
  */
 Informix.prototype.updateOrCreate = Informix.prototype.save =
   function(model, data, options, callback) {
     debug('Informix.prototype.updateOrCreate (enter): model=%j, data=%j, ' +
           'options=%j ', model, data, options);
-    var self = this;
-    var idName = self.idName(model);
-    var stmt;
-    var tableName = self.tableEscaped(model);
-    var meta = {};
-
-    function executeWithConnection(connection, cb) {
-      // Execution for updateOrCreate requires running two
-      // separate SQL statements.  The second depends on the
-      // result of the first.
-      var where = {};
-      where[idName] = data[idName];
-
-      var countStmt = new ParameterizedSQL('SELECT COUNT(*) AS CNT FROM ');
-      countStmt.merge(tableName);
-      countStmt.merge(self.buildWhere(model, where));
-      countStmt.noResults = false;
-
-      connection.query(countStmt, function(err, countData) {
-        debug('Informix.prototype.updateOrCreate (data): err=%j, ' +
-        'countData=%j\n', err, countData);
+    this.mergeInstance(model, data, options, false, callback);
+  };
+
+/**
+ * Replace if the model instance exists with the same id or create a new
+ * instance.  The properties missing from the data are set to NULL.
+ *
+ * @param {string} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Function} [callback] The callback function
+ */
+Informix.prototype.replaceOrCreate = function(model, data, options, callback) {
+  debug('Informix.prototype.replaceOrCreate (enter): model=%j, data=%j, ' +
+        'options=%j ', model, data, options);
+  this.mergeInstance(model, data, options, true, callback);
+};
+
+/**
+ * Write a model instance with a single MERGE statement, which updates the
+ * row with the same id or inserts it.  The statement runs on its own, in
+ * `options.transaction` or else in autocommit on a pooled connection.
+ * Whether the instance is new is reported as `isNewInstance` in the
+ * metadata passed to the callback: an instance without an id is always
+ * inserted, and for one with an id a probe on the same connection tells
+ * if a row with the id exists just before the MERGE.  The id generated for
+ * a new instance is set in the data passed on.
+ *
+ * A MERGE that loses the race to insert the same id as a concurrent one is
+ * run once more, and then updates the row the other one inserted.
+ *
+ * @param {string} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Boolean} replace True to replace the row rather than update it
+ * @param {Function} [callback] The callback function
+ */
+Informix.prototype.mergeInstance = function(
+  model, data, options, replace, callback) {
+  var self = this;
+  var idName = self.idName(model);
+  var generated = self.generatedId(model);
+  var generatesId = !!generated && data[idName] == null;
+  var versionProperty, expectedVersion, mergeStmt, probeStmt;
+  callback = callback || function() {};
+
+  try {
+    versionProperty = self.versionProperty(model);
+    expectedVersion = versionProperty && data[versionProperty];
+    mergeStmt = self.buildMerge(model, data, options, replace);
+    if (!generatesId) {
+      probeStmt = self.buildIdProbe(model, data, options);
+    }
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+  mergeStmt.noResults = true;
+
+  self.withAutocommit(options, function(connection, cb) {
+    var merged = false;
+
+    probe(connection, function(err, exists) {
+      if (err) return cb(err);
+      merge(connection, !exists, cb);
+    });
 
+    function merge(connection, isNewInstance, cb) {
+      self.runStatement(connection, mergeStmt, options, function(err) {
+        debug('Informix.prototype.mergeInstance stmt: %j err=%j',
+          mergeStmt, err);
+        err = self.normalizeError(err);
+        if (err && err.code === 'DUPLICATE_KEY' && !generatesId) {
+          if (expectedVersion != null) {
+            return self.checkVersion(connection, model, data, options,
+              err, cb);
+          }
+          if (!merged) {
+            // The row a concurrent caller inserted is updated
+            merged = true;
+            return merge(connection, false, cb);
+          }
+        }
         if (err) return cb(err);
+        fetchId(connection, function(err) {
+          if (err) return cb(err);
+          if (!versionProperty) {
+            return cb(null, data, {isNewInstance: isNewInstance});
+          }
+          self.fetchVersion(connection, model, data, options,
+            function(err, version) {
+              if (err) return cb(err);
+              data[versionProperty] = version;
+              self.applyWrittenVersion(model, data, options, version);
+              cb(null, data, {isNewInstance: isNewInstance});
+            });
+        });
+      });
+    }
+  }, callback);
+
+  // Tell if a row with the id of the data exists; without an id the MERGE
+  // inserts
+  function probe(connection, cb) {
+    if (!probeStmt) {
+      return process.nextTick(function() {
+        cb(null, false);
+      });
+    }
+    self.runStatement(connection, probeStmt, options, function(err, rows) {
+      if (err) return cb(err);
+      cb(null, !!(rows && rows[0] && Number(rows[0].cnt)));
+    });
+  }
+
+  // Set the id the MERGE generated in the data
+  function fetchId(connection, cb) {
+    if (!generatesId) {
+      return process.nextTick(cb);
+    }
+    self.fetchGeneratedId(connection, model, options, function(err, id) {
+      if (err) return cb(err);
+      data[idName] = id;
+      cb();
+    });
+  }
+};
 
-        if (countData[0]['cnt'] > 0) {
-          stmt = self.buildUpdate(model, where, data);
-        } else {
-          stmt = self.buildInsert(model, data, options);
+/**
+ * Build the query that counts the rows with the id of a model instance
+ *
+ * @param {string} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @returns {ParameterizedSQL} The statement
+ */
+Informix.prototype.buildIdProbe = function(model, data, options) {
+  var where = {};
+  this.idNames(model).forEach(function(idName) {
+    where[idName] = data[idName] === undefined ? null : data[idName];
+  });
+  var stmt = new ParameterizedSQL('SELECT COUNT(*) AS cnt FROM ' +
+    this.tableEscaped(model, options));
+  stmt.merge(this.buildWhere(model, where));
+  return this.parameterize(stmt);
+};
+
+/**
+ * Build the MERGE statement that updates or replaces the row with the id
+ * of a model instance, or inserts the instance if there is none
+ *
+ * @param {string} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Boolean} replace True to set the properties missing from the data
+ * to NULL
+ * @returns {ParameterizedSQL} The statement
+ */
+Informix.prototype.buildMerge = function(model, data, options, replace) {
+  var self = this;
+  var versionProperty = self.versionProperty(model);
+  var insertFields = self.buildFields(model,
+    self.applyInitialVersion(model, data));
+  var sequence = self.sequenceName(model, options);
+  var updateFields;
+
+  if (sequence && data[self.idName(model)] == null) {
+    insertFields.names.push(self.columnEscaped(model, self.idName(model)));
+    insertFields.columnValues.push(
+      new ParameterizedSQL(sequence + '.NEXTVAL'));
+  }
+
+  var updateData = {};
+  if (replace) {
+    Object.keys(self.getModelDefinition(model).properties).forEach(
+      function(prop) {
+        if (prop !== versionProperty) {
+          updateData[prop] = data[prop] === undefined ? null : data[prop];
         }
+      });
+  } else {
+    Object.keys(data).forEach(function(prop) {
+      if (prop !== versionProperty) {
+        updateData[prop] = data[prop];
+      }
+    });
+  }
+  updateFields = self.buildFields(model, updateData, true);
+  updateData = self.applyNextVersion(model, updateData,
+    versionProperty && data[versionProperty]);
+
+  var matches = self.idNames(model).map(function(idName) {
+    var prop = self.getPropertyDefinition(model, idName);
+    var value = data[idName] === undefined ? null : data[idName];
+    return new ParameterizedSQL('tgt.' + self.columnEscaped(model, idName) +
+      ' = ?', [self.toColumnValue(prop, value)]);
+  });
+  // A row at another version is not matched, and its id then fails the
+  // insert
+  if (versionProperty && data[versionProperty] != null) {
+    matches.push(new ParameterizedSQL('tgt.' +
+      self.columnEscaped(model, versionProperty) + ' = ?',
+      [self.toColumnValue(self.getPropertyDefinition(model, versionProperty),
+        data[versionProperty])]));
+  }
+  var on = ParameterizedSQL.join(matches, ' AND ');
+
+  // A one-row source: the values are bound in the clauses below
+  var stmt = new ParameterizedSQL('MERGE INTO ' +
+    self.tableEscaped(model, options) + ' tgt USING (SELECT 1 AS one ' +
+    'FROM systables WHERE tabid = 1) src ON (');
+  stmt.merge(on, '');
+  stmt.merge(')', '');
+
+  if (updateFields.names.length || versionProperty) {
+    stmt.merge('WHEN MATCHED THEN UPDATE');
+    stmt.merge(self.buildFieldsForUpdate(model, updateData));
+  }
 
-        stmt.noResults = true;
+  var values = ParameterizedSQL.join(insertFields.columnValues, ',');
+  stmt.merge('WHEN NOT MATCHED THEN INSERT (' + insertFields.names.join(',') +
+    ')');
+  values.sql = 'VALUES(' + values.sql + ')';
+  stmt.merge(values);
+  return self.parameterize(stmt);
+};
 
-        connection.query(stmt, function(err, sData) {
-          debug('Informix.prototype.updateOrCreate (data): err=%j, sData=%j\n',
-                err, sData);
+/**
+ * Find the first instance matching the filter, or create it from the data
+ * if there is none.  The read runs in a REPEATABLE READ transaction, whose
+ * locks keep a concurrent caller from creating a matching instance in
+ * between.
+ *
+ * @param {string} model The model name
+ * @param {Object} filter The filter object
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function, called with the
+ * instance and true if it was created
+ */
+Informix.prototype.findOrCreate = function(
+  model, filter, data, options, callback) {
+  debug('Informix.prototype.findOrCreate %j %j %j', model, filter, data);
+  var self = this;
+  var selectStmt;
+  try {
+    selectStmt = self.buildSelect(model, filter, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
 
-          if (err) return cb(err);
+  function executeWithConnection(connection, cb) {
+    self.runStatement(connection, selectStmt, options, function(err, rows) {
+      debug('Informix.prototype.findOrCreate stmt: %j data: %j',
+        selectStmt, rows);
+      if (err) return cb(err);
 
-          meta.isNewInstance = countData[0]['cnt'] === 0;
-          cb(null, data, meta);
+      if (rows.length) {
+        return cb(null, self.fromRow(model, rows[0]), false);
+      }
+      self.insertInstance(connection, model, data, options,
+        function(err, id) {
+          if (err) return cb(err);
+          data[self.idName(model)] = id;
+          cb(null, data, true);
         });
-      });
-    };
+    });
+  }
 
-    if (options.transaction) {
-      executeWithConnection(options.transaction.connection,
-        function(err, data, meta) {
+  if (options.transaction) {
+    executeWithConnection(options.transaction.connection,
+      function(err, data, created) {
+        if (err) {
+          return callback(self.normalizeError(err));
+        }
+        callback(null, data, created);
+      });
+  } else {
+    self.withRetry(options, function(done) {
+      self.beginTransaction(Transaction.REPEATABLE_READ, function(err, conn) {
+        if (err) {
+          return done(err);
+        }
+        executeWithConnection(conn, function(err, data, created) {
           if (err) {
-            return callback && callback(err);
-          } else {
-            return callback && callback(null, data, meta);
+            self.abandonTransaction(conn, err);
+            return done(err);
           }
+          self.commit(conn, function(err) {
+            if (err) {
+              return done(err);
+            }
+            done(null, data, created);
+          });
         });
-    } else {
-      self.beginTransaction(Transaction.READ_COMMITTED, function(err, conn) {
+      });
+    }, callback);
+  }
+};
+
+/**
+ * Update the only instance matching the where clause, or create one from
+ * the data if there is none.  The read runs in a REPEATABLE READ
+ * transaction, whose locks keep a concurrent caller from changing the
+ * matching instances in between.
+ *
+ * @param {string} model The model name
+ * @param {Object} where The where object
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function, called with the data
+ * and `{isNewInstance}`
+ */
+Informix.prototype.upsertWithWhere = function(
+  model, where, data, options, callback) {
+  debug('Informix.prototype.upsertWithWhere %j %j %j', model, where, data);
+  var self = this;
+  var idName = self.idName(model);
+  var selectStmt;
+  try {
+    selectStmt = new ParameterizedSQL('SELECT ' +
+      self.buildKeyColumns(model) + ' FROM ' +
+      self.tableEscaped(model, options));
+    selectStmt.merge(self.buildWhere(model, where));
+    selectStmt = self.parameterize(selectStmt);
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  function executeWithConnection(connection, cb) {
+    self.runStatement(connection, selectStmt, options, function(err, rows) {
+      debug('Informix.prototype.upsertWithWhere stmt: %j data: %j',
+        selectStmt, rows);
+      if (err) return cb(err);
+
+      if (rows.length > 1) {
+        err = new Error(g.f('There are multiple instances found. ' +
+          'Upsert Operation will not be performed!'));
+        err.statusCode = 400;
+        return cb(err);
+      }
+      if (!rows.length) {
+        return self.insertInstance(connection, model, data, options,
+          function(err, id) {
+            if (err) return cb(err);
+            data[idName] = id;
+            cb(null, data, {isNewInstance: true});
+          });
+      }
+
+      var byId = self.fromRow(model, rows[0]);
+      var updateStmt = self.buildUpdate(model, byId,
+        self.applyNextVersion(model, data), options);
+      updateStmt.noResults = true;
+      self.runStatement(connection, updateStmt, options, function(err) {
+        if (err) return cb(err);
+        Object.keys(byId).forEach(function(key) {
+          data[key] = byId[key];
+        });
+        cb(null, data, {isNewInstance: false});
+      });
+    });
+  }
+
+  if (options.transaction) {
+    executeWithConnection(options.transaction.connection,
+      function(err, data, info) {
+        if (err) {
+          return callback(self.normalizeError(err));
+        }
+        callback(null, data, info);
+      });
+  } else {
+    self.withRetry(options, function(done) {
+      self.beginTransaction(Transaction.REPEATABLE_READ, function(err, conn) {
         if (err) {
-          conn.close(function() {});
-          return callback && callback(err);
+          return done(err);
         }
-        executeWithConnection(conn, function(err, data, meta) {
+        executeWithConnection(conn, function(err, data, info) {
           if (err) {
-            conn.rollbackTransaction(function(err) {
-              conn.close(function() {});
-              return callback && callback(err);
-            });
-          } else {
-            options.transaction = undefined;
-            conn.commitTransaction(function(err) {
-              conn.close(function() {});
-
-              if (err) {
-                return callback && callback(err);
-              }
-
-              return callback && callback(null, data, meta);
-            });
+            self.abandonTransaction(conn, err);
+            return done(err);
           }
+          self.commit(conn, function(err) {
+            if (err) {
+              return done(err);
+            }
+            done(null, data, info);
+          });
         });
       });
-    }
-  };
+    }, callback);
+  }
+};
+
+/**
+ * Insert a model instance on the given connection
+ *
+ * @param {Object} connection The connection
+ * @param {string} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function, called with the id of the
+ * instance, the generated value if the data has none
+ */
+Informix.prototype.insertInstance = function(
+  connection, model, data, options, cb) {
+  var self = this;
+  var id = data[self.idName(model)];
+  var insertStmt = self.buildInsert(model, data, options);
+  insertStmt.noResults = true;
+
+  self.runStatement(connection, insertStmt, options, function(err) {
+    debug('Informix.prototype.insertInstance stmt: %j err: %j',
+      insertStmt, err);
+    if (err) return cb(err);
+    if (id != null) return cb(null, id);
+
+    self.fetchGeneratedId(connection, model, options, cb);
+  });
+};
 
+require('./connection')(Informix);
+require('./session')(Informix);
+require('./errors')(Informix);
+require('./retry')(Informix);
+require('./endpoints')(Informix);
+require('./pool')(Informix);
+require('./statement')(Informix);
+require('./schema')(Informix);
+require('./keys')(Informix);
+require('./version')(Informix);
+require('./bulk')(Informix);
+require('./stream')(Informix);
+require('./pagination')(Informix);
+require('./operators')(Informix);
 require('./migration')(Informix);
 require('./discovery')(Informix);
 require('./transaction')(Informix);
@@ -0,0 +1,144 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var SqlConnector = require('loopback-connector').SqlConnector;
+var ParameterizedSQL = SqlConnector.ParameterizedSQL;
+var debug = require('debug')('loopback:connector:informix:keys');
+
+module.exports = mixinKeys;
+
+/*!
+ * The column types that generate their values, and the expression that
+ * returns the value generated by the last insert of the session
+ */
+var GENERATED_ID_EXPRESSIONS = {
+  SERIAL: 'DBINFO(\'sqlca.sqlerrd1\')',
+  SERIAL8: 'DBINFO(\'serial8\')',
+  BIGSERIAL: 'DBINFO(\'bigserial\')',
+};
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinKeys(Informix) {
+  /**
+   * Tell how the database generates the id of a model: a `sequence` named
+   * in the settings of the id property, else for a `generated` id a
+   * SERIAL, SERIAL8 or BIGSERIAL column as given by its `dataType`.
+   *
+   * @param {string} model The model name
+   * @returns {Object} The `type` of the id, SERIAL, SERIAL8, BIGSERIAL or
+   * SEQUENCE, and the name of the `sequence`; undefined if the id is not
+   * generated
+   */
+  Informix.prototype.generatedId = function(model) {
+    var idName = this.idName(model);
+    var prop = idName && this.getPropertyDefinition(model, idName);
+    if (!prop) {
+      return undefined;
+    }
+
+    var settings = prop[this.name] || {};
+    var sequence = settings.sequence || prop.sequence;
+    if (sequence) {
+      return {type: 'SEQUENCE', sequence: sequence};
+    }
+    if (!prop.generated) {
+      return undefined;
+    }
+    var dataType = String(settings.dataType || prop.dataType || 'SERIAL')
+      .toUpperCase();
+    return {type: dataType in GENERATED_ID_EXPRESSIONS ? dataType : 'SERIAL'};
+  };
+
+  /**
+   * Get the name of the sequence that generates the ids of a model,
+   * qualified with the schema of the call
+   *
+   * @param {string} model The model name
+   * @param {Object} [options] The options object
+   * @returns {string} The sequence name, or undefined if there is none
+   */
+  Informix.prototype.sequenceName = function(model, options) {
+    var generated = this.generatedId(model);
+    if (!generated || !generated.sequence) {
+      return undefined;
+    }
+    var schema = this.resolveSchema(options);
+    return schema ? schema + '.' + generated.sequence : generated.sequence;
+  };
+
+  /**
+   * Build the INSERT statement for a model instance.  The id of a model
+   * whose ids come from a sequence is set to the next value of the
+   * sequence unless the data has one, and so is the first version of a
+   * versioned model.
+   *
+   * @param {string} model The model name
+   * @param {Object} data The model instance data
+   * @param {Object} options The options object
+   * @returns {ParameterizedSQL} The statement
+   */
+  Informix.prototype.buildInsert = function(model, data, options) {
+    data = this.applyInitialVersion(model, data);
+    var idName = this.idName(model);
+    var sequence = this.sequenceName(model, options);
+    if (!sequence || data[idName] != null) {
+      return SqlConnector.prototype.buildInsert.call(this, model, data,
+        options);
+    }
+
+    var fields = this.buildFields(model, data);
+    fields.names.push(this.columnEscaped(model, idName));
+    fields.columnValues.push(new ParameterizedSQL(sequence + '.NEXTVAL'));
+
+    var insertStmt = this.buildInsertInto(model, fields, options);
+    var values = ParameterizedSQL.join(fields.columnValues, ',');
+    values.sql = 'VALUES(' + values.sql + ')';
+    insertStmt.merge(values);
+    return this.parameterize(insertStmt);
+  };
+
+  /**
+   * Build the query for the id the last insert of the session generated
+   *
+   * @param {string} model The model name
+   * @param {Object} [options] The options object
+   * @returns {string} The query
+   */
+  Informix.prototype.buildGeneratedIdQuery = function(model, options) {
+    var generated = this.generatedId(model) || {type: 'SERIAL'};
+    var expression = generated.type === 'SEQUENCE' ?
+      this.sequenceName(model, options) + '.CURRVAL' :
+      GENERATED_ID_EXPRESSIONS[generated.type];
+    return 'SELECT ' + expression + ' AS id FROM systables WHERE tabid = 1';
+  };
+
+  /**
+   * Read the id the last insert on a connection generated.  Ids beyond the
+   * range of a JavaScript number are passed on as strings.
+   *
+   * @param {Object} connection The connection
+   * @param {string} model The model name
+   * @param {Object} options The options object
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.fetchGeneratedId = function(
+    connection, model, options, cb) {
+    var sql = this.buildGeneratedIdQuery(model, options);
+    connection.query(sql, function(err, info) {
+      debug('Informix.prototype.fetchGeneratedId info: %j err: %j', info,
+        err);
+      if (err) {
+        return cb(err);
+      }
+      var id = info[0].id;
+      var value = Number(id);
+      cb(null, Number.isSafeInteger(value) ? value : String(id));
+    });
+  };
+}
@@ -11,6 +11,7 @@
 var g = require('./globalize');
 var async = require('async');
 var debug = require('debug')('loopback:connector:informix');
+var IBMDB = require('loopback-ibmdb').IBMDB;
 
 module.exports = function(Informix) {
   Informix.prototype.searchForPropertyInActual =
@@ -56,59 +57,120 @@ module.exports = function(Informix) {
   };
 
   /*
-   * Perform autoupdate for the given models
+   * Perform automigrate for the given models: drop and recreate their
+   * tables
    * @param {String[]} [models] A model name or an array of model names.
    * If not present, apply to all models
+   * @param {Object} [options] The options object, naming the `schema` to
+   * migrate
    * @param {Function} [cb] The callback function
    */
-  Informix.prototype.autoupdate = function(models, cb) {
-    debug('Informix.prototype.autoupdate %j', models);
+  Informix.prototype.automigrate = function(models, options, cb) {
+    debug('Informix.prototype.automigrate %j', models);
     var self = this;
+    var args = migrationArgs(self, models, options, cb);
 
-    if ((!cb) && (typeof models === 'function')) {
-      cb = models;
-      models = undefined;
-    }
-    // First argument is a model name
-    if (typeof models === 'string') {
-      models = [models];
-    }
+    async.eachSeries(args.models, function(model, done) {
+      if (!(model in self._models)) {
+        return process.nextTick(function() {
+          done(new Error(g.f('Model not found: %s', model)));
+        });
+      }
+      self.dropTable(model, args.options, function(err) {
+        if (err) {
+          debug('Informix.prototype.automigrate drop err: %j', err);
+        }
+        self.createTable(model, args.options, done);
+      });
+    }, args.cb);
+  };
 
-    models = models || Object.keys(this._models);
+  /*
+   * Perform autoupdate for the given models
+   * @param {String[]} [models] A model name or an array of model names.
+   * If not present, apply to all models
+   * @param {Object} [options] The options object, naming the `schema` to
+   * update
+   * @param {Function} [cb] The callback function
+   */
+  Informix.prototype.autoupdate = function(models, options, cb) {
+    debug('Informix.prototype.autoupdate %j', models);
+    var self = this;
+    var args = migrationArgs(self, models, options, cb);
 
-    async.each(models, function(model, done) {
+    async.each(args.models, function(model, done) {
       if (!(model in self._models)) {
         return process.nextTick(function() {
           done(new Error(g.f('Model not found: %s', model)));
         });
       }
-      self.getTableStatus(model, function(err, fields, indexes) {
+      self.getTableStatus(model, args.options, function(err, fields, indexes) {
         if (err) {
           return done(err);
         } else {
           if (fields.length) {
-            self.alterTable(model, fields, indexes, done);
+            self.alterTable(model, fields, indexes, args.options, done);
           } else {
-            self.createTable(model, done);
+            self.createTable(model, args.options, done);
           }
         }
       });
-    }, cb);
+    }, args.cb);
+  };
+
+  /**
+   * Alter the table of a model to match its definition, in the schema of
+   * the call or else in the schema of the connector
+   *
+   * @param {String} model The model name
+   * @param {Object[]} actualFields The columns of the table
+   * @param {Object[]} actualIndexes The indexes of the table
+   * @param {Object} [options] The options object, naming the `schema`
+   * @param {Function} cb The callback function
+   * @param {Boolean} [checkOnly] True to pass the statements to the
+   * callback instead of running them
+   */
+  Informix.prototype.alterTable = function(model, actualFields,
+    actualIndexes, options, cb, checkOnly) {
+    if (typeof options === 'function') {
+      checkOnly = cb;
+      cb = options;
+      options = {};
+    }
+    var ddlBuilder;
+    try {
+      ddlBuilder = this.ddlBuilder(options);
+    } catch (err) {
+      return process.nextTick(function() {
+        cb(err);
+      });
+    }
+    IBMDB.prototype.alterTable.call(ddlBuilder, model, actualFields,
+      actualIndexes, cb, checkOnly);
   };
 
   /*
    * Discover the properties from a table
    * @param {String} model The model name
+   * @param {Object} [options] The options object, naming the `schema`
    * @param {Function} cb The callback function
    */
-  Informix.prototype.getTableStatus = function(model, cb) {
+  Informix.prototype.getTableStatus = function(model, options, cb) {
     var self = this;
 
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    var schema = self.resolveSchema(options);
+    var tableFilter = 'SYSTABLES.TABNAME LIKE \'' +
+      self.table(model).toLowerCase() + '\'' +
+      (schema ? ' AND SYSTABLES.OWNER = \'' + schema + '\'' : '');
+
     var sql = 'SELECT COLNO, COLLENGTH AS DATALENGTH, COLTYPE AS DATATYPE, ' +
       'COLNAME AS NAME FROM SYSCOLUMNS INNER JOIN SYSTABLES ON ' +
-      '(SYSCOLUMNS.TABID = SYSTABLES.TABID) WHERE ' +
-      'SYSTABLES.TABNAME LIKE \'' + self.table(model).toLowerCase() + '\'' +
-      'ORDER BY COLNO';
+      '(SYSCOLUMNS.TABID = SYSTABLES.TABID) WHERE ' + tableFilter +
+      ' ORDER BY COLNO';
 
     self.execute(sql, function(err, tableInfo) {
       debug('Informix.prototype.getTableStatus sql:%j data:%j', sql, tableInfo);
@@ -121,7 +183,7 @@ module.exports = function(Informix) {
           'I.PART14, I.PART15, I.PART16 ' +
           'FROM SYSINDEXES I INNER JOIN SYSTABLES T ' +
           'ON (I.TABID = T.TABID) ' +
-          'WHERE T.TABNAME LIKE \'' + self.table(model).toLowerCase() + '\'';
+          'WHERE ' + tableFilter.replace(/SYSTABLES\./g, 'T.');
         self.execute(indexSQL, function(err, indexInfo) {
           debug('Informix.prototype.getTableStatus sql:%j data:%j', indexInfo);
           if (err) {
@@ -298,3 +360,33 @@ module.exports = function(Informix) {
     });
   };
 };
+
+/*!
+ * Sort out the optional arguments of a migration
+ *
+ * @param {Informix} connector The connector
+ * @param {String[]} [models] A model name or an array of model names
+ * @param {Object} [options] The options object
+ * @param {Function} [cb] The callback function
+ * @returns {Object} The `models`, `options` and `cb`
+ */
+function migrationArgs(connector, models, options, cb) {
+  if (typeof models === 'function') {
+    cb = models;
+    models = undefined;
+    options = undefined;
+  } else if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  // First argument is a model name
+  if (typeof models === 'string') {
+    models = [models];
+  }
+
+  return {
+    models: models || Object.keys(connector._models),
+    options: options || {},
+    cb: cb,
+  };
+}
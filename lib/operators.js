@@ -0,0 +1,254 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var SqlConnector = require('loopback-connector').SqlConnector;
+var ParameterizedSQL = SqlConnector.ParameterizedSQL;
+var IBMDB = require('loopback-ibmdb').IBMDB;
+
+module.exports = mixinOperators;
+
+/*!
+ * The escape character of LIKE and MATCHES patterns, declared on every
+ * comparison as ANSI databases have none by default
+ */
+var ESCAPE = ' ESCAPE \'\\\'';
+
+/*!
+ * The characters that have a meaning in a MATCHES pattern
+ */
+var MATCHES_SPECIALS = '*?[]\\';
+
+/*!
+ * The regular expression escapes that POSIX patterns spell as classes
+ */
+var POSIX_CLASSES = {
+  d: '[[:digit:]]',
+  D: '[^[:digit:]]',
+  s: '[[:space:]]',
+  S: '[^[:space:]]',
+  w: '[[:alnum:]_]',
+  W: '[^[:alnum:]_]',
+};
+
+/*!
+ * The `copts` of `regex_match`: extended syntax, ignoring case or not
+ */
+var REGEX_EXTENDED = 1;
+var REGEX_EXTENDED_ICASE = 3;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinOperators(Informix) {
+  /**
+   * Build the SQL expression for an operator of a where clause.  On top of
+   * the operators of the base connector:
+   *
+   * - `like`, `nlike`, `ilike` and `nilike` declare `\` as the escape
+   *   character, so `\%`, `\_` and `\\` match a literal `%`, `_` and `\`
+   * - `ilike` and `nilike` compare the lower case column with the lower
+   *   case pattern
+   * - `like` and `nlike` with a regular expression run it as `regexp` does
+   * - `regexp` runs a pattern that is a plain string with `.`, `.*`, `.+`,
+   *   character classes and anchors as a MATCHES comparison, and any other
+   *   pattern with the `regex_match` function of the Informix regex
+   *   extension if the `regexMatch` setting is on
+   *
+   * @param {string} columnName The escaped column name
+   * @param {string} operator The operator
+   * @param {*} columnValue The column value
+   * @param {Object} propertyValue The property definition
+   * @returns {ParameterizedSQL} The SQL expression
+   */
+  Informix.prototype.buildExpression = function(
+    columnName, operator, columnValue, propertyValue) {
+    var negated = operator === 'nlike' || operator === 'nilike';
+    var ignoreCase = operator === 'ilike' || operator === 'nilike';
+
+    switch (operator) {
+      case 'like':
+      case 'nlike':
+      case 'ilike':
+      case 'nilike':
+        if (columnValue instanceof RegExp) {
+          return this.buildRegExpExpression(columnName, columnValue,
+            ignoreCase, negated);
+        }
+        return buildComparison(columnName, negated ? 'NOT LIKE' : 'LIKE',
+          likePattern(columnValue), ignoreCase);
+      case 'regexp':
+        return this.buildRegExpExpression(columnName, columnValue, false,
+          false);
+      default:
+        return IBMDB.prototype.buildExpression.call(this, columnName,
+          operator, columnValue, propertyValue);
+    }
+  };
+
+  /**
+   * Build the SQL expression that matches a column with a regular
+   * expression: a MATCHES comparison if the pattern can be written as one,
+   * else a call of `regex_match`
+   *
+   * @param {string} columnName The escaped column name
+   * @param {RegExp|string} regexp The regular expression
+   * @param {Boolean} ignoreCase True to ignore case whatever the flags of
+   * the expression
+   * @param {Boolean} negated True for the rows that do not match
+   * @returns {ParameterizedSQL} The SQL expression
+   */
+  Informix.prototype.buildRegExpExpression = function(
+    columnName, regexp, ignoreCase, negated) {
+    if (!(regexp instanceof RegExp)) {
+      regexp = new RegExp(String(regexp));
+    }
+    ignoreCase = ignoreCase || regexp.ignoreCase;
+
+    var pattern = !regexp.multiline && toMatchesPattern(regexp.source);
+    if (pattern != null) {
+      return buildComparison(columnName, negated ? 'NOT MATCHES' : 'MATCHES',
+        pattern, ignoreCase);
+    }
+
+    if (!this.connectionSettings.regexMatch) {
+      var err = new Error(g.f('The {{regexp}} %s cannot be run as a ' +
+        '{{MATCHES}} pattern; set {{regexMatch}} to run it with ' +
+        '{{regex_match}}', String(regexp)));
+      err.statusCode = 400;
+      throw err;
+    }
+    return new ParameterizedSQL((negated ? 'NOT ' : '') + 'regex_match(' +
+      columnName + ', ?, ' +
+      (ignoreCase ? REGEX_EXTENDED_ICASE : REGEX_EXTENDED) + ')',
+      [toPosixPattern(regexp.source)]);
+  };
+}
+
+/*!
+ * Build a LIKE or MATCHES comparison, lower casing both sides to ignore
+ * case
+ *
+ * @param {string} columnName The escaped column name
+ * @param {string} operator The comparison
+ * @param {string} pattern The pattern
+ * @param {Boolean} ignoreCase True to ignore case
+ * @returns {ParameterizedSQL} The SQL expression
+ */
+function buildComparison(columnName, operator, pattern, ignoreCase) {
+  var column = ignoreCase ? 'LOWER(' + columnName + ')' : columnName;
+  return new ParameterizedSQL(column + ' ' + operator + ' ?' + ESCAPE,
+    [ignoreCase ? pattern.toLowerCase() : pattern]);
+}
+
+/*!
+ * Make a LIKE pattern valid for the escape character: a trailing `\`
+ * escapes nothing, so it is taken as a literal `\`
+ *
+ * @param {*} value The pattern
+ * @returns {string} The pattern
+ */
+function likePattern(value) {
+  var pattern = String(value);
+  var trailing = /\\+$/.exec(pattern);
+  if (trailing && trailing[0].length % 2) {
+    pattern += '\\';
+  }
+  return pattern;
+}
+
+/*!
+ * Translate the source of a regular expression into a MATCHES pattern, if
+ * it only uses literals, `.`, `.*`, `.+`, character classes and anchors
+ *
+ * @param {string} source The source of the regular expression
+ * @returns {string} The pattern, or undefined if there is none
+ */
+function toMatchesPattern(source) {
+  var start = 0;
+  var end = source.length;
+  var anchoredStart = source[0] === '^';
+  var anchoredEnd = /(^|[^\\])(\\\\)*\$$/.test(source);
+  var pattern = '';
+
+  if (anchoredStart) start++;
+  if (anchoredEnd) end--;
+
+  for (var i = start; i < end; i++) {
+    var c = source[i];
+    var next = source[i + 1];
+    if (c === '\\') {
+      // \d, \w, \b and the like have no MATCHES equivalent
+      if (next === undefined || /[A-Za-z0-9]/.test(next)) {
+        return undefined;
+      }
+      pattern += escapeMatches(next);
+      i++;
+    } else if (c === '.') {
+      if (next === '*' || next === '+') {
+        pattern += next === '*' ? '*' : '?*';
+        i++;
+      } else {
+        pattern += '?';
+      }
+    } else if (c === '[') {
+      var close = source.indexOf(']', i + 1);
+      var set = close === -1 ? '' : source.slice(i + 1, close);
+      if (!set || set === '^' || /[\\\[]/.test(set) || close >= end) {
+        return undefined;
+      }
+      pattern += '[' + set + ']';
+      i = close;
+    } else if ('*+?{}()|^$'.indexOf(c) !== -1) {
+      return undefined;
+    } else {
+      pattern += escapeMatches(c);
+    }
+    if ('*+?{'.indexOf(source[i + 1]) !== -1 && i + 1 < end) {
+      // A quantifier on a literal or class
+      return undefined;
+    }
+  }
+
+  return (anchoredStart ? '' : '*') + pattern + (anchoredEnd ? '' : '*');
+}
+
+/*!
+ * Escape a literal character for a MATCHES pattern
+ *
+ * @param {string} c The character
+ * @returns {string} The escaped character
+ */
+function escapeMatches(c) {
+  return MATCHES_SPECIALS.indexOf(c) === -1 ? c : '\\' + c;
+}
+
+/*!
+ * Translate the escapes of a JavaScript regular expression that POSIX
+ * extended expressions lack, outside of bracket expressions
+ *
+ * @param {string} source The source of the regular expression
+ * @returns {string} The POSIX pattern
+ */
+function toPosixPattern(source) {
+  var pattern = '';
+  var inSet = false;
+  for (var i = 0; i < source.length; i++) {
+    var c = source[i];
+    var next = source[i + 1];
+    if (c === '\\' && next !== undefined) {
+      pattern += !inSet && POSIX_CLASSES[next] ? POSIX_CLASSES[next] :
+        c + next;
+      i++;
+      continue;
+    }
+    if (c === '[') inSet = true;
+    if (c === ']') inSet = false;
+    pattern += c;
+  }
+  return pattern;
+}
@@ -0,0 +1,309 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var debug = require('debug')('loopback:connector:informix:pagination');
+var IBMDB = require('loopback-ibmdb').IBMDB;
+
+module.exports = mixinPagination;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinPagination(Informix) {
+  /**
+   * Tell if a query asks for a page by keyset: its filter names an `after`
+   * or `before` cursor, or its options an object to report the cursors of
+   * the page in
+   *
+   * @param {Object} filter The filter object
+   * @param {Object} [options] The options object
+   * @returns {Boolean} True for a keyset page
+   */
+  Informix.prototype.isKeysetPage = function(filter, options) {
+    return !!(filter && (filter.after || filter.before)) ||
+      !!(options && options.page && typeof options.page === 'object');
+  };
+
+  /**
+   * Get the order of a keyset page: the `order` of the filter, followed by
+   * the id properties it leaves out, so that every row has a distinct
+   * position
+   *
+   * @param {string} model The model name
+   * @param {string|string[]} [order] The order of the filter
+   * @returns {Object[]} The `property` and `descending` flag of each
+   * position
+   */
+  Informix.prototype.keysetOrder = function(model, order) {
+    var self = this;
+    var properties = self.getModelDefinition(model).properties;
+    var keys = [];
+
+    if (typeof order === 'string') {
+      order = order.split(',');
+    }
+    (order || []).forEach(function(clause) {
+      var parts = String(clause).trim().split(/\s+/);
+      var direction = (parts[1] || 'ASC').toUpperCase();
+      if (!properties[parts[0]] || parts.length > 2 ||
+        (direction !== 'ASC' && direction !== 'DESC')) {
+        throw cursorError(g.f('Invalid {{order}} for a keyset page: %s',
+          clause));
+      }
+      keys.push({property: parts[0], descending: direction === 'DESC'});
+    });
+    self.idNames(model).forEach(function(idName) {
+      var listed = keys.some(function(key) {
+        return key.property === idName;
+      });
+      if (!listed) {
+        keys.push({property: idName, descending: false});
+      }
+    });
+    return keys;
+  };
+
+  /**
+   * Build the opaque cursor of a row: its values of the order properties
+   *
+   * @param {Object[]} keys The keyset order
+   * @param {Object} data The model instance data
+   * @returns {string} The cursor
+   */
+  Informix.prototype.encodeCursor = function(keys, data) {
+    var values = keys.map(function(key) {
+      var value = data[key.property];
+      return value instanceof Date ? value.toISOString() : value;
+    });
+    return Buffer.from(JSON.stringify(values)).toString('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  /**
+   * Read the values of the order properties back from a cursor
+   *
+   * @param {string} model The model name
+   * @param {Object[]} keys The keyset order
+   * @param {string} cursor The cursor
+   * @returns {Array} The values
+   */
+  Informix.prototype.decodeCursor = function(model, keys, cursor) {
+    var self = this;
+    var values;
+    try {
+      values = JSON.parse(Buffer.from(String(cursor)
+        .replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    } catch (e) {
+      values = undefined;
+    }
+    if (!Array.isArray(values) || values.length !== keys.length) {
+      throw cursorError(g.f('Invalid pagination cursor: %s', cursor));
+    }
+    return values.map(function(value, i) {
+      var prop = self.getPropertyDefinition(model, keys[i].property);
+      return value != null && prop.type === Date ? new Date(value) : value;
+    });
+  };
+
+  /**
+   * Build the where clause for the rows past a cursor in the keyset order:
+   * `(k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...`, with the comparisons
+   * turned around for the descending properties.  Informix sorts NULL
+   * before any value, so a NULL in the cursor is followed by the values
+   * that are not NULL and preceded by none, and the rows before a value
+   * include the NULLs.
+   *
+   * @param {Object[]} keys The keyset order
+   * @param {Array} values The values of the cursor
+   * @param {Boolean} backward True for the rows before the cursor
+   * @returns {Object} The where object
+   */
+  Informix.prototype.buildKeysetWhere = function(keys, values, backward) {
+    var branches = [];
+    keys.forEach(function(key, i) {
+      var past = keysetPast(key.property, values[i],
+        key.descending !== !!backward);
+      if (!past) {
+        return;
+      }
+      var terms = keys.slice(0, i).map(function(previous, j) {
+        var equal = {};
+        equal[previous.property] = values[j];
+        return equal;
+      });
+      terms.push(past);
+      branches.push(terms.length === 1 ? past : {and: terms});
+    });
+    return branches.length === 1 ? branches[0] : {or: branches};
+  };
+
+  /**
+   * Find a page of the instances matching a filter by keyset rather than by
+   * offset.  The page holds the `limit` rows that follow the `after` cursor
+   * of the filter, or precede its `before` cursor, in the order of the
+   * filter; without a cursor it is the first page.  The cursors of the
+   * first and last row are passed to the callback as `previous` and `next`,
+   * and set in `options.page` if given, `next` only if more rows follow and
+   * `previous` only if rows precede the page; the other is null.
+   *
+   * @param {string} model The model name
+   * @param {Object} filter The filter object
+   * @param {Object} options The options object
+   * @param {Function} cb The callback function, called as
+   * `cb(err, rows, page)` with the `next` and `previous` cursors in `page`
+   */
+  Informix.prototype.allByKeyset = function(model, filter, options, cb) {
+    debug('Informix.prototype.allByKeyset %j %j', model, filter);
+    var self = this;
+    var keys, values, pageFilter;
+    var backward = !filter.after && !!filter.before;
+    var limit = parseInt(filter.limit, 10) || 0;
+
+    try {
+      keys = self.keysetOrder(model, filter.order);
+      values = filter.after || filter.before ?
+        self.decodeCursor(model, keys, filter.after || filter.before) :
+        undefined;
+    } catch (err) {
+      return process.nextTick(function() {
+        cb(err);
+      });
+    }
+
+    pageFilter = {};
+    Object.keys(filter).forEach(function(key) {
+      if (['after', 'before', 'skip', 'offset'].indexOf(key) === -1) {
+        pageFilter[key] = filter[key];
+      }
+    });
+    pageFilter.order = keys.map(function(key) {
+      var descending = key.descending !== backward;
+      return key.property + (descending ? ' DESC' : ' ASC');
+    });
+    if (values) {
+      var keysetWhere = self.buildKeysetWhere(keys, values, backward);
+      pageFilter.where = filter.where && Object.keys(filter.where).length ?
+        {and: [filter.where, keysetWhere]} : keysetWhere;
+    }
+    // One more row tells if there is another page
+    if (limit) {
+      pageFilter.limit = limit + 1;
+    }
+    pageFilter.fields = withKeyFields(filter.fields, keys);
+
+    IBMDB.prototype.all.call(self, model, pageFilter,
+      self.readOptions(options), function(err, rows) {
+        if (err) {
+          return cb(err);
+        }
+        var more = limit > 0 && rows.length > limit;
+        if (more) {
+          rows = rows.slice(0, limit);
+        }
+        if (backward) {
+          rows.reverse();
+        }
+
+        var first = rows[0];
+        var last = rows[rows.length - 1];
+        var hasNext = backward ? !!last : more;
+        var hasPrevious = backward ? more : !!(values && first);
+        var page = {
+          next: hasNext ? self.encodeCursor(keys, last) : null,
+          previous: hasPrevious ? self.encodeCursor(keys, first) : null,
+        };
+        if (options && options.page && typeof options.page === 'object') {
+          options.page.next = page.next;
+          options.page.previous = page.previous;
+        }
+        cb(null, rows, page);
+      });
+  };
+}
+
+/*!
+ * Build the condition for the values of an order property that sort
+ * before or after a value of a cursor, NULL being the lowest value
+ *
+ * @param {string} property The property name
+ * @param {*} value The value of the cursor
+ * @param {Boolean} before True for the values that sort before it
+ * @returns {Object} The where object, or undefined if no value sorts there
+ */
+function keysetPast(property, value, before) {
+  var term = {};
+  if (value == null) {
+    if (before) {
+      return undefined;
+    }
+    term[property] = {neq: null};
+    return term;
+  }
+  term[property] = {};
+  term[property][before ? 'lt' : 'gt'] = value;
+  if (!before) {
+    return term;
+  }
+  var isNull = {};
+  isNull[property] = null;
+  return {or: [term, isNull]};
+}
+
+/*!
+ * Make sure the fields of a filter return the order properties, which the
+ * cursors are built from
+ *
+ * @param {string[]|Object} [fields] The fields of the filter
+ * @param {Object[]} keys The keyset order
+ * @returns {string[]|Object} The fields
+ */
+function withKeyFields(fields, keys) {
+  if (!fields) {
+    return fields;
+  }
+  var names = keys.map(function(key) {
+    return key.property;
+  });
+  if (typeof fields === 'string') {
+    fields = [fields];
+  }
+  if (Array.isArray(fields)) {
+    return fields.concat(names.filter(function(name) {
+      return fields.indexOf(name) === -1;
+    }));
+  }
+
+  var copy = {};
+  var included = Object.keys(fields).some(function(name) {
+    return fields[name];
+  });
+  Object.keys(fields).forEach(function(name) {
+    copy[name] = fields[name];
+  });
+  names.forEach(function(name) {
+    if (included) {
+      copy[name] = true;
+    } else {
+      delete copy[name];
+    }
+  });
+  return copy;
+}
+
+/*!
+ * Report a cursor or order a keyset page cannot be built from
+ *
+ * @param {string} message The message
+ * @returns {Error} The error, with the `statusCode` 400
+ */
+function cursorError(message) {
+  var err = new Error(message);
+  err.code = 'INVALID_CURSOR';
+  err.statusCode = 400;
+  return err;
+}
@@ -0,0 +1,370 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var debug = require('debug')('loopback:connector:informix:pool');
+
+module.exports = mixinPool;
+
+/*!
+ * The query `ping` and the connection validation run
+ */
+var VALIDATION_SQL = 'SELECT COUNT(*) AS COUNT FROM SYSTABLES';
+
+var VALIDATION_MODES = ['never', 'borrow', 'interval'];
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinPool(Informix) {
+  /**
+   * Take a connection from the pool, keeping count of the callers waiting
+   * for one and of how long they waited.  A pooled connection that is past
+   * its `maxLifetime`, or that fails validation when `connectionValidation`
+   * is `borrow`, is closed and replaced.
+   *
+   * @param {string} connStr The connection string
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.acquireConnection = function(connStr, cb) {
+    var self = this;
+    var stats = self.poolCounters();
+    var start = Date.now();
+
+    stats.pending++;
+    self.client.open(connStr, function(err, conn) {
+      if (err) {
+        stats.pending--;
+        stats.failed++;
+        return cb(err);
+      }
+      self.checkConnection(conn, function(healthy) {
+        if (!healthy) {
+          stats.pending--;
+          stats.evicted++;
+          return self.discardConnection(conn, function() {
+            self.acquireConnection(connStr, cb);
+          });
+        }
+        var waitTime = Date.now() - start;
+        stats.pending--;
+        stats.acquired++;
+        stats.totalWaitTime += waitTime;
+        stats.maxWaitTime = Math.max(stats.maxWaitTime, waitTime);
+        cb(null, conn);
+      });
+    });
+  };
+
+  /**
+   * Check a connection handed out by the pool before it is used.  A
+   * connection opened for the caller is taken as it is; one the pool opened
+   * when it started is checked like the others once it is older than
+   * `validationInterval`, as it may have been idle all that time.
+   *
+   * @param {Object} conn The connection
+   * @param {Function} cb The callback function, called with true if the
+   * connection can be used
+   */
+  Informix.prototype.checkConnection = function(conn, cb) {
+    var self = this;
+    var settings = self.poolSettings();
+    var created = self.connectionCreated(conn);
+
+    if (created === undefined) {
+      created = conn.created || Date.now();
+      self.pooledConnections.set(conn, created);
+      if (Date.now() - created <= settings.validationInterval) {
+        return cb(true);
+      }
+    }
+    if (settings.maxLifetime && Date.now() - created > settings.maxLifetime) {
+      debug('Informix.prototype.checkConnection connection expired');
+      return cb(false);
+    }
+    if (settings.connectionValidation !== 'borrow') {
+      return cb(true);
+    }
+    self.validateConnection(conn, function(err, valid) {
+      if (err || !valid) {
+        debug('Informix.prototype.checkConnection validation failed: %j',
+          err);
+      }
+      cb(!err && valid);
+    });
+  };
+
+  /**
+   * Get the time a pooled connection was opened
+   *
+   * @param {Object} conn The connection
+   * @returns {Number} The time, or undefined for a connection that was
+   * never handed out
+   */
+  Informix.prototype.connectionCreated = function(conn) {
+    this.pooledConnections = this.pooledConnections || new WeakMap();
+    return this.pooledConnections.get(conn);
+  };
+
+  /**
+   * Let the callers waiting for a connection know that one was closed for
+   * good.  The pool only hands an idle connection to a waiting caller, so a
+   * new connection is opened in place of the closed one and returned to the
+   * pool, which passes it on.
+   *
+   * @param {string} connStr The connection string of the closed connection
+   */
+  Informix.prototype.wakeWaitingCallers = function(connStr) {
+    var pool = this.client;
+    if (!pool.queue || !pool.queue.fifo || !pool.queue.fifo.length) {
+      return;
+    }
+    if (pool.maxPoolSize > 0 && pool.poolSize >= pool.maxPoolSize) {
+      return pool.queue.next();
+    }
+    pool.open(connStr, function(err, conn) {
+      if (err) {
+        debug('Informix.prototype.wakeWaitingCallers err: %j', err);
+        return pool.queue.next();
+      }
+      conn.close();
+    });
+  };
+
+  /**
+   * Run the validation query on a connection, the same query `ping` uses
+   *
+   * @param {Object} conn The connection
+   * @param {Function} cb The callback function, called with true if the
+   * server answered
+   */
+  Informix.prototype.validateConnection = function(conn, cb) {
+    conn.query(VALIDATION_SQL, function(err, rows) {
+      if (err) {
+        return cb(err);
+      }
+      cb(null, rows.length > 0 && rows[0]['COUNT'] > 0);
+    });
+  };
+
+  /**
+   * Get the counters kept for the pool
+   *
+   * @returns {Object} The counters
+   */
+  Informix.prototype.poolCounters = function() {
+    if (!this.poolCountersData) {
+      this.poolCountersData = {
+        pending: 0,
+        acquired: 0,
+        failed: 0,
+        evicted: 0,
+        totalWaitTime: 0,
+        maxWaitTime: 0,
+      };
+    }
+    return this.poolCountersData;
+  };
+
+  /**
+   * Report the state of the connection pool:
+   *
+   * - `size`: the number of open connections
+   * - `active`: the connections in use, `transactions` of them held by a
+   *   transaction
+   * - `idle`: the connections waiting in the pool
+   * - `pending`: the callers waiting for a connection
+   * - `minPoolSize` and `maxPoolSize`: the configured limits
+   * - `acquired` and `failed`: how often a connection was handed out or
+   *   could not be opened
+   * - `evicted`: the connections closed because they were broken, idle for
+   *   too long or past their lifetime
+   * - `averageWaitTime` and `maxWaitTime`: how long callers waited for a
+   *   connection, in milliseconds
+   *
+   * The numbers cover the connections to every server the connector uses.
+   *
+   * @returns {Object} The pool statistics
+   */
+  Informix.prototype.getPoolStats = function() {
+    var pool = this.client;
+    var counters = this.poolCounters();
+
+    return {
+      size: pool.poolSize,
+      active: countConnections(pool.usedPool),
+      idle: countConnections(pool.availablePool),
+      pending: counters.pending,
+      transactions: this.openTransactions ? this.openTransactions.size : 0,
+      minPoolSize: this.connectionOptions.minPoolSize,
+      maxPoolSize: this.connectionOptions.maxPoolSize,
+      acquired: counters.acquired,
+      failed: counters.failed,
+      evicted: counters.evicted,
+      averageWaitTime: counters.acquired ?
+        Math.round(counters.totalWaitTime / counters.acquired) : 0,
+      maxWaitTime: counters.maxWaitTime,
+    };
+  };
+
+  /**
+   * Emit the pool statistics as a `pool` event on the data source every
+   * `poolStatsInterval` milliseconds, if that setting is given
+   *
+   * @param {Object} settings The connector settings
+   */
+  Informix.prototype.startPoolMonitor = function(settings) {
+    var self = this;
+    var interval = parseInt(settings.poolStatsInterval, 10);
+
+    if (!interval) {
+      return;
+    }
+    self.poolStatsTimer = setInterval(function() {
+      var stats = self.getPoolStats();
+      debug('Informix.prototype.startPoolMonitor %j', stats);
+      if (self.dataSource) {
+        self.dataSource.emit('pool', stats);
+      }
+    }, interval);
+    // Monitoring alone must not keep the process alive
+    if (self.poolStatsTimer.unref) {
+      self.poolStatsTimer.unref();
+    }
+  };
+
+  /**
+   * Resolve the settings for the maintenance of pooled connections:
+   * `connectionValidation` is `never` (the default), `borrow` to validate
+   * a connection before it is handed out or `interval` to validate the
+   * idle connections every `validationInterval` milliseconds.
+   * `idleTimeout` and `maxLifetime` are in milliseconds as well.
+   *
+   * @returns {Object} The pool settings
+   */
+  Informix.prototype.poolSettings = function() {
+    if (this.poolSettingsData) {
+      return this.poolSettingsData;
+    }
+
+    var settings = this.connectionSettings;
+    var mode = settings.connectionValidation || 'never';
+    if (VALIDATION_MODES.indexOf(mode) === -1) {
+      throw new Error(g.f('Invalid {{connectionValidation}} mode: %s', mode));
+    }
+    this.poolSettingsData = {
+      connectionValidation: mode,
+      validationInterval: parseInt(settings.validationInterval, 10) || 30000,
+      idleTimeout: parseInt(settings.idleTimeout, 10) || 0,
+      maxLifetime: parseInt(settings.maxLifetime, 10) || 0,
+    };
+    return this.poolSettingsData;
+  };
+
+  /**
+   * Sweep the idle connections every `validationInterval` milliseconds if
+   * `idleTimeout` or `maxLifetime` is set or `connectionValidation` is
+   * `interval`
+   */
+  Informix.prototype.startPoolMaintenance = function() {
+    var self = this;
+    var settings = self.poolSettings();
+
+    if (!settings.idleTimeout && !settings.maxLifetime &&
+      settings.connectionValidation !== 'interval') {
+      return;
+    }
+    self.poolMaintenanceTimer = setInterval(function() {
+      self.sweepIdleConnections();
+    }, settings.validationInterval);
+    if (self.poolMaintenanceTimer.unref) {
+      self.poolMaintenanceTimer.unref();
+    }
+  };
+
+  /**
+   * Close the idle connections that have been idle for longer than
+   * `idleTimeout` or are past their `maxLifetime`, and validate the others
+   * if `connectionValidation` is `interval`.  A connection is taken out of
+   * the pool while it is validated.
+   *
+   * @param {Function} [cb] The callback function
+   */
+  Informix.prototype.sweepIdleConnections = function(cb) {
+    var self = this;
+    var pool = self.client;
+    var settings = self.poolSettings();
+    var stats = self.poolCounters();
+    var now = Date.now();
+    var validations = 0;
+
+    Object.keys(pool.availablePool || {}).forEach(function(connStr) {
+      var idle = pool.availablePool[connStr];
+      idle.slice().forEach(function(conn) {
+        var created = self.connectionCreated(conn) || conn.created || now;
+        var expired = settings.maxLifetime &&
+          now - created > settings.maxLifetime;
+        var stale = settings.idleTimeout && conn.lastUsed &&
+          now - conn.lastUsed > settings.idleTimeout;
+        var validate = settings.connectionValidation === 'interval';
+        if (!expired && !stale && !validate) {
+          return;
+        }
+
+        idle.splice(idle.indexOf(conn), 1);
+        if (expired || stale) {
+          debug('Informix.prototype.sweepIdleConnections closing an %s ' +
+            'connection', expired ? 'expired' : 'idle');
+          return evict(conn);
+        }
+
+        var lastUsed = conn.lastUsed;
+        validations++;
+        self.validateConnection(conn, function(err, valid) {
+          if (err || !valid) {
+            debug('Informix.prototype.sweepIdleConnections validation ' +
+              'failed: %j', err);
+            evict(conn);
+          } else {
+            idle.push(conn);
+            // Validation does not count as use
+            conn.lastUsed = lastUsed;
+          }
+          if (--validations === 0 && cb) {
+            cb();
+          }
+        });
+      });
+    });
+
+    function evict(conn) {
+      stats.evicted++;
+      if (pool.poolSize) pool.poolSize--;
+      conn.realClose(function(err) {
+        debug('Informix.prototype.sweepIdleConnections err: %j', err);
+      });
+      self.wakeWaitingCallers(conn.connStr);
+    }
+
+    if (validations === 0 && cb) {
+      process.nextTick(cb);
+    }
+  };
+}
+
+/*!
+ * Count the connections in the lists of the pool, which are keyed by
+ * connection string
+ *
+ * @param {Object} lists The lists of connections
+ * @returns {Number} The number of connections
+ */
+function countConnections(lists) {
+  return Object.keys(lists || {}).reduce(function(count, connStr) {
+    return count + lists[connStr].length;
+  }, 0);
+}
@@ -0,0 +1,97 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var debug = require('debug')('loopback:connector:informix:retry');
+
+module.exports = mixinRetry;
+
+/*!
+ * The policy used for `retry: true`; an object given as `retry` overrides
+ * the individual values
+ */
+var RETRY_DEFAULTS = {
+  maxAttempts: 3,
+  delay: 100,
+  maxDelay: 2000,
+  factor: 2,
+  errors: ['LOCK_TIMEOUT', 'DEADLOCK', 'CONNECTION_ERROR'],
+};
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinRetry(Informix) {
+  /**
+   * Run an operation, running it again after a growing delay while it
+   * fails with one of the error codes named by the `retry` setting.  An
+   * operation that is part of a transaction passed in `options.transaction`
+   * is never retried, as the transaction cannot be replayed.
+   *
+   * The error passed on is normalized and its `attempts` property tells how
+   * many times the operation was run.
+   *
+   * @param {Object} options The options object
+   * @param {Function} operation The operation, called as `operation(cb)`
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.withRetry = function(options, operation, cb) {
+    var self = this;
+    var policy = retryPolicy(self.connectionSettings.retry);
+    var retry = policy && !(options && options.transaction);
+    var attempts = 0;
+
+    attempt();
+
+    function attempt() {
+      attempts++;
+      operation(function(err) {
+        if (!err) {
+          return cb.apply(null, arguments);
+        }
+
+        err = self.normalizeError(err);
+        if (!retry || attempts >= policy.maxAttempts ||
+          policy.errors.indexOf(err.code) === -1) {
+          if (typeof err === 'object') err.attempts = attempts;
+          return cb(err);
+        }
+
+        if (err.code === 'CONNECTION_ERROR') {
+          // The idle connections are most likely broken as well
+          self.retireConnections(self.connStr);
+        }
+
+        var delay = Math.min(policy.maxDelay,
+          policy.delay * Math.pow(policy.factor, attempts - 1));
+        // Spread out the callers that collided on the same lock
+        delay = Math.round(delay / 2 + Math.random() * delay / 2);
+        debug('Informix.prototype.withRetry attempt %d failed with %s, ' +
+          'retrying in %dms', attempts, err.code, delay);
+        setTimeout(attempt, delay);
+      });
+    }
+  };
+}
+
+/*!
+ * Resolve the `retry` setting
+ *
+ * @param {Boolean|Object} retry The setting
+ * @returns {Object} The retry policy, or undefined if retries are disabled
+ */
+function retryPolicy(retry) {
+  if (!retry) {
+    return undefined;
+  }
+
+  var policy = {};
+  Object.keys(RETRY_DEFAULTS).forEach(function(key) {
+    policy[key] = retry[key] != null ? retry[key] : RETRY_DEFAULTS[key];
+  });
+  policy.maxAttempts = parseInt(policy.maxAttempts, 10) || 1;
+  return policy;
+}
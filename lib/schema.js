@@ -0,0 +1,100 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var SqlConnector = require('loopback-connector').SqlConnector;
+var ParameterizedSQL = SqlConnector.ParameterizedSQL;
+
+module.exports = mixinSchema;
+
+/*!
+ * The owner names a statement may be qualified with
+ */
+var SCHEMA_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinSchema(Informix) {
+  /**
+   * Get the schema (owner) to qualify the tables of a call with:
+   * `options.schema` if given, else whatever the `schemaResolver` setting
+   * returns for the options.  Nothing is shared between calls, so
+   * concurrent requests for different tenants do not see each other's
+   * schema.
+   *
+   * @param {Object} [options] The options object
+   * @returns {string} The schema, or undefined to use the tables of the
+   * connected user
+   */
+  Informix.prototype.resolveSchema = function(options) {
+    options = options || {};
+    var schema = options.schema;
+    var resolver = this.connectionSettings.schemaResolver;
+
+    if (schema == null && typeof resolver === 'function') {
+      schema = resolver(options);
+    }
+    if (schema == null || schema === '') {
+      return undefined;
+    }
+    if (typeof schema !== 'string' || !SCHEMA_PATTERN.test(schema)) {
+      throw new Error(g.f('Invalid {{schema}}: %s', schema));
+    }
+    return schema;
+  };
+
+  /**
+   * Build the `INSERT INTO` clause for the schema of the call
+   *
+   * @param {string} model The model name
+   * @param {Object} fields The fields to insert
+   * @param {Object} options The options object
+   * @returns {ParameterizedSQL} The statement
+   */
+  Informix.prototype.buildInsertInto = function(model, fields, options) {
+    var stmt = new ParameterizedSQL('INSERT INTO ' +
+      this.tableEscaped(model, options));
+    var columnNames = fields.names.join(',');
+    if (columnNames) {
+      stmt.merge('(' + columnNames + ')', '');
+    }
+    return stmt;
+  };
+
+  /**
+   * Build the `DELETE` statement for the schema of the call
+   *
+   * @param {string} model The model name
+   * @param {Object} where The where object
+   * @param {Object} options The options object
+   * @returns {ParameterizedSQL} The statement
+   */
+  Informix.prototype.buildDelete = function(model, where, options) {
+    var deleteStmt = new ParameterizedSQL('DELETE FROM ' +
+      this.tableEscaped(model, options));
+    deleteStmt.merge(this.buildWhere(model, where));
+    return this.parameterize(deleteStmt);
+  };
+
+  /**
+   * Build the `UPDATE` statement for the schema of the call
+   *
+   * @param {string} model The model name
+   * @param {Object} where The where object
+   * @param {Object} data The properties to change
+   * @param {Object} options The options object
+   * @returns {ParameterizedSQL} The statement
+   */
+  Informix.prototype.buildUpdate = function(model, where, data, options) {
+    var updateStmt = new ParameterizedSQL('UPDATE ' +
+      this.tableEscaped(model, options));
+    updateStmt.merge([this.buildFieldsForUpdate(model, data),
+      this.buildWhere(model, where)]);
+    return this.parameterize(updateStmt);
+  };
+}
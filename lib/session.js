@@ -0,0 +1,107 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var async = require('async');
+var debug = require('debug')('loopback:connector:informix:session');
+
+module.exports = mixinSession;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinSession(Informix) {
+  /**
+   * Run the `initSql` setting on a connection the first time it is handed
+   * out, so every session starts with the same lock mode, isolation and
+   * environment.  `initSql` is a statement, an array of statements run in
+   * order, or a function called as `initSql(connection, callback)` that may
+   * also return a promise.
+   *
+   * If the initialization fails the connection is discarded and the error
+   * is reported as a connection error.
+   *
+   * @param {Object} conn The connection
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.initializeSession = function(conn, cb) {
+    var self = this;
+    var initSql = self.connectionSettings.initSql;
+
+    self.initializedSessions = self.initializedSessions || new WeakSet();
+    if (!initSql || self.initializedSessions.has(conn)) {
+      return cb(null, conn);
+    }
+
+    runInitSql(initSql, conn, function(err) {
+      if (err) {
+        debug('Informix.prototype.initializeSession err: %j', err);
+        return self.discardConnection(conn, function() {
+          cb(sessionError(err));
+        });
+      }
+      self.initializedSessions.add(conn);
+      cb(null, conn);
+    });
+  };
+}
+
+/*!
+ * Run the statements or the function given as `initSql`
+ *
+ * @param {string|string[]|Function} initSql The session initialization
+ * @param {Object} conn The connection
+ * @param {Function} cb The callback function
+ */
+function runInitSql(initSql, conn, cb) {
+  if (typeof initSql === 'function') {
+    var called = false;
+    var done = function(err) {
+      if (called) return;
+      called = true;
+      cb(err);
+    };
+    var result;
+    try {
+      result = initSql(conn, done);
+    } catch (err) {
+      return done(err);
+    }
+    if (result && typeof result.then === 'function') {
+      result.then(function() {
+        done();
+      }, function(err) {
+        done(err || new Error(g.f('{{initSql}} was rejected')));
+      });
+    }
+    return;
+  }
+
+  var statements = Array.isArray(initSql) ? initSql : [initSql];
+  async.eachSeries(statements, function(sql, next) {
+    debug('runInitSql %s', sql);
+    conn.query({sql: sql, noResults: true}, function(err) {
+      next(err);
+    });
+  }, cb);
+}
+
+/*!
+ * Wrap an error from the session initialization
+ *
+ * @param {Object} err The error
+ * @returns {Error} The connection error reported to the caller
+ */
+function sessionError(err) {
+  var error = new Error(g.f('Session initialization failed: %s',
+    err.message || err));
+  error.code = 'SESSION_INIT_FAILED';
+  error.sqlcode = err.sqlcode;
+  error.state = err.state || err.sqlstate;
+  error.cause = err;
+  return error;
+}
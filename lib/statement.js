@@ -0,0 +1,165 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var debug = require('debug')('loopback:connector:informix:statement');
+
+module.exports = mixinStatement;
+
+/*!
+ * The statement attribute that makes the driver cancel a statement on the
+ * server once it has run for the given number of seconds
+ */
+var SQL_ATTR_QUERY_TIMEOUT = 0;
+
+/*!
+ * How long to wait past the timeout for the driver to cancel the statement
+ * before giving up on it
+ */
+var CANCEL_GRACE_PERIOD = 1000;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinStatement(Informix) {
+  /**
+   * Get the timeout for a statement: `options.queryTimeout` if given, else
+   * the `queryTimeout` setting, in milliseconds.  0 means no timeout.
+   *
+   * @param {Object} [options] The options object
+   * @returns {Number} The timeout in milliseconds
+   */
+  Informix.prototype.queryTimeout = function(options) {
+    var timeout = options && options.queryTimeout != null ?
+      options.queryTimeout : this.connectionSettings.queryTimeout;
+    return parseInt(timeout, 10) || 0;
+  };
+
+  /**
+   * Run a statement on a connection.  A statement with `noResults` is
+   * prepared and executed as a non-query, and passes on the number of rows
+   * it changed as `affectedRows`.  With a query timeout the statement is
+   * prepared with `SQL_ATTR_QUERY_TIMEOUT`, so the driver cancels it on the
+   * server once the timeout is exceeded, and fails with an error whose
+   * `code` is `TIMEOUT`.  Should the driver not return in time the
+   * statement is abandoned with the same error; the connection must not be
+   * reused then.
+   *
+   * @param {Object} conn The connection
+   * @param {Object} stmt The statement: `sql`, `params` and `noResults`
+   * @param {Object} options The options object
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.runStatement = function(conn, stmt, options, cb) {
+    var timeout = this.queryTimeout(options);
+
+    if (!timeout && !stmt.noResults) {
+      return conn.query(stmt, function(err, data) {
+        cb(err, data);
+      });
+    }
+
+    var done = false;
+    var timer = timeout && setTimeout(function() {
+      debug('Informix.prototype.runStatement abandoned %s', stmt.sql);
+      finish(timeoutError(timeout));
+    }, Math.ceil(timeout / 1000) * 1000 + CANCEL_GRACE_PERIOD);
+
+    function finish(err, data) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (err && isCancelError(err)) {
+        err = timeoutError(timeout, err);
+      }
+      cb(err, data);
+    }
+
+    conn.prepare(stmt.sql, function(err, prepared) {
+      if (err) {
+        return finish(err);
+      }
+
+      function close(err, data) {
+        try {
+          prepared.closeSync();
+        } catch (e) {
+          debug('Informix.prototype.runStatement close: %j', e);
+        }
+        finish(err, data);
+      }
+
+      function execute() {
+        if (stmt.noResults) {
+          return prepared.executeNonQuery(stmt.params || [],
+            function(err, count) {
+              close(err, {affectedRows: count});
+            });
+        }
+        prepared.execute(stmt.params || [], function(err, result) {
+          if (err) {
+            return close(err);
+          }
+          result.fetchAll(function(err, data) {
+            try {
+              result.closeSync();
+            } catch (e) {
+              debug('Informix.prototype.runStatement close: %j', e);
+            }
+            close(err, data);
+          });
+        });
+      }
+
+      if (!timeout) {
+        return execute();
+      }
+      // The driver counts the timeout in whole seconds
+      prepared.setAttr(SQL_ATTR_QUERY_TIMEOUT, Math.ceil(timeout / 1000),
+        function(err) {
+          if (err) {
+            return close(err);
+          }
+          execute();
+        });
+    });
+  };
+}
+
+/*!
+ * Tell if the driver cancelled a statement because of its timeout
+ *
+ * @param {Object} err The error
+ * @returns {Boolean} True if the statement was cancelled
+ */
+function isCancelError(err) {
+  var state = err.state || err.sqlstate;
+  return state === 'HYT00' || state === 'HY008' ||
+    Number(err.sqlcode) === -213 ||
+    /SQLSTATE=(HYT00|HY008)|\(-213\)/.test(err.message || '');
+}
+
+/*!
+ * Report a statement that exceeded its timeout
+ *
+ * @param {Number} timeout The timeout in milliseconds
+ * @param {Object} [cause] The error of the driver
+ * @returns {Error} The timeout error
+ */
+function timeoutError(timeout, cause) {
+  var err = new Error(g.f('The statement exceeded the query timeout of %s ms',
+    timeout));
+  err.code = 'TIMEOUT';
+  err.statusCode = 504;
+  err.timeout = timeout;
+  if (cause) {
+    err.sqlcode = cause.sqlcode;
+    err.state = cause.state || cause.sqlstate;
+    err.cause = cause;
+  }
+  return err;
+}
@@ -0,0 +1,223 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var debug = require('debug')('loopback:connector:informix:stream');
+var stream = require('stream');
+
+module.exports = mixinStream;
+mixinStream.streamable = streamable;
+
+/*!
+ * How many rows a stream buffers by default
+ */
+var DEFAULT_FETCH_SIZE = 100;
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinStream(Informix) {
+  /**
+   * Get the number of rows a stream buffers, reading them from its cursor
+   * before pushing them on: `options.fetchSize` if given, else the
+   * `fetchSize` setting, 100 by default.  The driver still fetches the
+   * rows one at a time.
+   *
+   * @param {Object} [options] The options object
+   * @returns {Number} The fetch size
+   */
+  Informix.prototype.fetchSize = function(options) {
+    var fetchSize = options && options.fetchSize != null ?
+      options.fetchSize : this.connectionSettings.fetchSize;
+    return parseInt(fetchSize, 10) || DEFAULT_FETCH_SIZE;
+  };
+
+  /**
+   * Stream the instances matching a filter, as converted by `fromRow`.  The
+   * rows are read from a cursor on the server, buffering `fetchSize` rows
+   * at a time, and only as fast as they are consumed.  The cursor is closed
+   * and the connection released when the stream ends, fails or is
+   * destroyed, such as by leaving a `for await` loop early.
+   *
+   * @param {string} model The model name
+   * @param {Object} [filter] The filter object: `where`, `fields`, `order`,
+   * `limit` and `skip`
+   * @param {Object} [options] The options object
+   * @returns {Readable} The stream of instances, in object mode
+   */
+  Informix.prototype.stream = function(model, filter, options) {
+    debug('Informix.prototype.stream %j %j', model, filter);
+    var self = this;
+    options = self.readOptions(options);
+    var fetchSize = self.fetchSize(options);
+    var conn, result, released, busy, pendingRelease;
+
+    var rows = new stream.Readable({
+      objectMode: true,
+      highWaterMark: fetchSize,
+    });
+
+    rows._read = function() {
+      if (result) {
+        return fetchRows();
+      }
+
+      var stmt;
+      try {
+        stmt = self.buildSelect(model, filter || {}, options);
+      } catch (err) {
+        return rows.destroy(err);
+      }
+      openConnection(function(err, c) {
+        if (err) {
+          return rows.destroy(self.normalizeError(err));
+        }
+        conn = c;
+        if (rows.destroyed) {
+          return release();
+        }
+        busy = true;
+        conn.queryResult({sql: stmt.sql, params: stmt.params},
+          function(err, res) {
+            result = res;
+            if (settled()) {
+              return;
+            }
+            if (err) {
+              return rows.destroy(self.normalizeError(err));
+            }
+            fetchRows();
+          });
+      });
+    };
+
+    rows._destroy = function(err, cb) {
+      release(err, function() {
+        cb(err);
+      });
+    };
+
+    function openConnection(cb) {
+      if (options.transaction) {
+        return process.nextTick(function() {
+          cb(null, options.transaction.connection);
+        });
+      }
+      self.routeConnection(options, cb);
+    }
+
+    // Fetch the next rows, one batch per read
+    function fetchRows() {
+      var batch = [];
+
+      (function fetchRow() {
+        busy = true;
+        result.fetch(function(err, row) {
+          if (settled()) {
+            return;
+          }
+          if (err) {
+            return rows.destroy(self.normalizeError(err));
+          }
+          if (row) {
+            batch.push(self.fromRow(model, row));
+            if (batch.length < fetchSize) {
+              return fetchRow();
+            }
+          }
+
+          batch.forEach(function(data) {
+            rows.push(data);
+          });
+          if (!row) {
+            release(null, function() {
+              rows.push(null);
+            });
+          }
+        });
+      })();
+    }
+
+    // Note the end of a call to the driver, finishing a release that had
+    // to wait for it; tells if the stream was destroyed meanwhile
+    function settled() {
+      busy = false;
+      if (pendingRelease) {
+        release.apply(null, pendingRelease);
+        pendingRelease = null;
+      }
+      return rows.destroyed;
+    }
+
+    // Close the cursor and give the connection back, once the driver is
+    // done with the call in progress
+    function release(err, cb) {
+      cb = cb || function() {};
+      if (busy) {
+        pendingRelease = [err, cb];
+        return;
+      }
+      if (released || !conn) {
+        return process.nextTick(cb);
+      }
+      released = true;
+      if (result) {
+        try {
+          result.closeSync();
+        } catch (e) {
+          debug('Informix.prototype.stream close: %j', e);
+        }
+      }
+      if (options.transaction) {
+        return process.nextTick(cb);
+      }
+      self.releaseConnection(conn, err, cb);
+    }
+
+    return rows;
+  };
+}
+
+/**
+ * A model mixin that adds `Model.stream(filter, options)`, which streams
+ * the model instances matching the filter from the Informix connector.
+ * The connector defines it as the `Streamable` mixin of its data source; a
+ * LoopBack application can load it from a file in its mixins directory:
+ *
+ * ```js
+ * module.exports = require('loopback-connector-informix').Streamable;
+ * ```
+ *
+ * @param {Function} Model The model class
+ */
+function streamable(Model) {
+  /**
+   * Stream the instances matching a filter
+   *
+   * @param {Object} [filter] The filter object
+   * @param {Object} [options] The options object
+   * @returns {Readable} The stream of model instances, in object mode
+   */
+  Model.stream = function(filter, options) {
+    var rows = Model.getDataSource().connector.stream(Model.modelName, filter,
+      options);
+    var instances = new stream.Transform({
+      objectMode: true,
+      transform: function(data, encoding, cb) {
+        cb(null, new Model(data, {applySetters: false, persisted: true}));
+      },
+    });
+    // Destroying either stream, such as by leaving a loop early, closes
+    // the cursor, and the errors of the rows reach the caller
+    stream.pipeline(rows, instances, function(err) {
+      debug('Model.stream %s ended: %j', Model.modelName, err);
+      if (err) {
+        instances.destroy(err);
+      }
+    });
+    return instances;
+  };
+}
@@ -11,6 +11,11 @@ var Transaction = require('loopback-connector').Transaction;
 
 module.exports = mixinTransaction;
 
+/*!
+ * The `getInfo` type of the default isolation level of the data source
+ */
+var SQL_DEFAULT_TXN_ISOLATION = 26;
+
 var mapIsolationLevel = function(isolationLevel) {
   var ret = 2;
 
@@ -49,23 +54,62 @@ function mixinTransaction(Informix, informix) {
 
     var self = this;
 
-    self.client.open(self.connStr, function(err, connection) {
+    self.openConnection(function(err, connection) {
       if (err) return cb(err);
       connection.beginTransaction(function(err) {
         if (err) {
-          console.log('ERROR: ', err);
-          return cb(err);
+          debug('Informix.prototype.beginTransaction err: %j', err);
+          return self.releaseConnection(connection, err, function() {
+            cb(err);
+          });
         }
 
         if (isolationLevel) {
           connection.setIsolationLevel(mapIsolationLevel(isolationLevel));
+          self.isolatedConnections = self.isolatedConnections ||
+            new WeakSet();
+          self.isolatedConnections.add(connection);
         }
 
+        self.openTransactions = self.openTransactions || new Set();
+        self.openTransactions.add(connection);
         cb(err, connection);
       });
     });
   };
 
+  /**
+   * Run a write that needs no transaction of its own: on the connection of
+   * `options.transaction` if given, else in autocommit on a connection
+   * borrowed from the pool and returned once the write is done.  The write
+   * is retried as configured by the `retry` setting.
+   *
+   * @param {Object} options The options object
+   * @param {Function} work The write, called as `work(connection, cb)`
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.withAutocommit = function(options, work, cb) {
+    var self = this;
+
+    self.withRetry(options, function(done) {
+      if (options.transaction) {
+        return work(options.transaction.connection, done);
+      }
+
+      self.openConnection(function(err, conn) {
+        if (err) {
+          return done(err);
+        }
+        work(conn, function(err) {
+          var args = arguments;
+          self.releaseConnection(conn, err, function() {
+            done.apply(null, args);
+          });
+        });
+      });
+    }, cb);
+  };
+
   /**
    * Commit a transaction
    *
@@ -74,12 +118,76 @@ function mixinTransaction(Informix, informix) {
    */
   Informix.prototype.commit = function(connection, cb) {
     debug('Commit a transaction');
+    var self = this;
+    if (self.openTransactions) self.openTransactions.delete(connection);
     connection.commitTransaction(function(err) {
       if (err) return cb(err);
+      self.releaseTransaction(connection, cb);
+    });
+  };
+
+  /**
+   * Return the connection of a finished transaction to the pool.  If the
+   * transaction set an isolation level, the connection gets the default
+   * isolation level of the data source back and runs `initSql` again the
+   * next time it is handed out, so the next borrower starts from the
+   * session defaults.  A connection whose isolation level cannot be
+   * restored is closed instead.
+   *
+   * @param {Object} connection The connection
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.releaseTransaction = function(connection, cb) {
+    var self = this;
+    if (!self.isolatedConnections ||
+      !self.isolatedConnections.has(connection)) {
+      return connection.close(cb);
+    }
+
+    self.isolatedConnections.delete(connection);
+    if (self.initializedSessions) {
+      self.initializedSessions.delete(connection);
+    }
+    connection.getInfo(SQL_DEFAULT_TXN_ISOLATION, function(err, level) {
+      if (!err) {
+        try {
+          connection.setIsolationLevel(Number(level));
+        } catch (e) {
+          err = e;
+        }
+      }
+      if (err) {
+        debug('Informix.prototype.releaseTransaction err: %j', err);
+        return self.discardConnection(connection, function() {
+          cb();
+        });
+      }
       connection.close(cb);
     });
   };
 
+  /**
+   * Give up on a transaction the connector started on its own after one of
+   * its statements failed.  The transaction is rolled back, unless the
+   * connection is broken or still busy with a statement that timed out, or
+   * the rollback fails; it is closed then, which ends the transaction on
+   * the server.
+   *
+   * @param {Object} connection
+   * @param {Error} err The error the statement failed with
+   */
+  Informix.prototype.abandonTransaction = function(connection, err) {
+    var self = this;
+    var code = self.normalizeError(err).code;
+    if (code === 'TIMEOUT' || code === 'CONNECTION_ERROR') {
+      if (self.openTransactions) self.openTransactions.delete(connection);
+      return self.discardConnection(connection);
+    }
+    self.rollback(connection, function(err) {
+      if (err) self.discardConnection(connection);
+    });
+  };
+
   /**
    * Roll back a transaction
    *
@@ -88,10 +196,11 @@ function mixinTransaction(Informix, informix) {
    */
   Informix.prototype.rollback = function(connection, cb) {
     debug('Rollback a transaction');
+    var self = this;
+    if (self.openTransactions) self.openTransactions.delete(connection);
     connection.rollbackTransaction(function(err) {
       if (err) return cb(err);
-      // connection.setAutoCommit(true);
-      connection.close(cb);
+      self.releaseTransaction(connection, cb);
     });
   };
 }
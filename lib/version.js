@@ -0,0 +1,381 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var g = require('./globalize');
+var SqlConnector = require('loopback-connector').SqlConnector;
+var ParameterizedSQL = SqlConnector.ParameterizedSQL;
+var IBMDB = require('loopback-ibmdb').IBMDB;
+
+module.exports = mixinVersion;
+
+/*!
+ * The instances being written by `save` and `updateAttributes`, by the
+ * options object of the call, which is the one thing the hooks and the
+ * connector share.  Each maps the id of an instance to the instance and the
+ * data the model applies to it after the write.
+ */
+var instanceWrites = new WeakMap();
+
+/*!
+ * @param {Informix} Informix connector class
+ */
+function mixinVersion(Informix) {
+  /**
+   * Get the property a model names in its `versionProperty` setting.  A
+   * Number property counts the changes of a row, a Date property holds the
+   * time of its last change.
+   *
+   * @param {string} model The model name
+   * @returns {string} The property name, or undefined if the model is not
+   * versioned
+   */
+  Informix.prototype.versionProperty = function(model) {
+    var definition = this.getModelDefinition(model);
+    var name = definition && definition.settings.versionProperty;
+    if (!name) {
+      return undefined;
+    }
+    if (!definition.properties[name]) {
+      throw new Error(g.f('The {{versionProperty}} %s of %s is not a ' +
+        'property', name, model));
+    }
+    return name;
+  };
+
+  /**
+   * Define a model.  A new instance of a versioned model is given the
+   * first version of its row, and the instances are tracked while `save`
+   * and `updateAttributes` write them, so that the connector can move them
+   * on to the version it wrote.
+   *
+   * @param {Object} definition The model definition
+   */
+  Informix.prototype.define = function(definition) {
+    var self = this;
+    IBMDB.prototype.define.call(self, definition);
+    var model = definition.model;
+    if (!definition.settings.versionProperty || !model ||
+      typeof model.observe !== 'function') {
+      return;
+    }
+
+    model.observe('persist', function(ctx, next) {
+      var instance = ctx.currentInstance;
+      if (!instance || !ctx.options) {
+        return next();
+      }
+      var name = self.versionProperty(model.modelName);
+      if (ctx.isNewInstance) {
+        // create passes on a copy of the data; give the instance the
+        // version its row is inserted with
+        var initial = self.applyInitialVersion(model.modelName, ctx.data);
+        ctx.data[name] = instance[name] = initial[name];
+        return next();
+      }
+      // updateAttributes passes on the changes only; check them against
+      // the version the instance was read at
+      if (ctx.data[name] === undefined && instance[name] != null) {
+        ctx.data[name] = instance[name];
+      }
+      var writes = instanceWrites.get(ctx.options) || {};
+      writes[instanceKey(self, model.modelName, instance)] = {
+        instance: instance,
+        data: ctx.data,
+      };
+      instanceWrites.set(ctx.options, writes);
+      next();
+    });
+  };
+
+  /**
+   * Move the instance that `save` or `updateAttributes` is writing on to
+   * the version the write gave its row
+   *
+   * @param {string} model The model name
+   * @param {Object} ids The id values of the instance, by property
+   * @param {Object} options The options object of the write
+   * @param {*} version The version of the row
+   */
+  Informix.prototype.applyWrittenVersion = function(
+    model, ids, options, version) {
+    var writes = options && instanceWrites.get(options);
+    var key = instanceKey(this, model, ids);
+    var write = writes && writes[key];
+    if (!write) {
+      return;
+    }
+    delete writes[key];
+    var name = this.versionProperty(model);
+    write.data[name] = version;
+    write.instance[name] = version;
+  };
+
+  /**
+   * Update the instance with an id.  The version a versioned instance was
+   * moved on to is applied to the instance.
+   *
+   * @param {string} model The model name
+   * @param {*} id The id value
+   * @param {Object} data The properties to change
+   * @param {Object} options The options object
+   * @param {Function} cb The callback function
+   */
+  Informix.prototype.updateAttributes = function(
+    model, id, data, options, cb) {
+    var self = this;
+    SqlConnector.prototype.updateAttributes.call(self, model, id, data,
+      options, function(err, info) {
+        if (err) {
+          return cb(err);
+        }
+        if (info && info.version !== undefined) {
+          var ids = id;
+          if (id === null || typeof id !== 'object') {
+            ids = {};
+            ids[self.idName(model)] = id;
+          }
+          self.applyWrittenVersion(model, ids, options, info.version);
+        }
+        cb(null, info);
+      });
+  };
+
+  /**
+   * Copy the data of a new instance, setting the version property to its
+   * first value, 1 or the current time, if the data has none
+   *
+   * @param {string} model The model name
+   * @param {Object} data The model instance data
+   * @returns {Object} The data to insert
+   */
+  Informix.prototype.applyInitialVersion = function(model, data) {
+    var name = this.versionProperty(model);
+    if (!name || data[name] != null) {
+      return data;
+    }
+
+    var copy = withoutProperty(data, name);
+    copy[name] = isTimestamp(this, model, name) ? new Date() : 1;
+    return copy;
+  };
+
+  /**
+   * Copy the changes of a write, setting the version property to the
+   * version the row moves on to: the current time for a Date property, else
+   * the version the write expects plus one.  Without an expected version a
+   * counter is left out, for the statement to increment.
+   *
+   * @param {string} model The model name
+   * @param {Object} data The property/value object representing changes
+   * @param {*} [expected] The version the write expects the row to be at
+   * @returns {Object} The changes
+   */
+  Informix.prototype.applyNextVersion = function(model, data, expected) {
+    var name = this.versionProperty(model);
+    if (!name) {
+      return data;
+    }
+
+    var copy = withoutProperty(data, name);
+    if (isTimestamp(this, model, name)) {
+      copy[name] = new Date();
+    } else if (expected != null) {
+      copy[name] = Number(expected) + 1;
+    }
+    return copy;
+  };
+
+  /**
+   * Build the SET clause of an UPDATE.  The version column of a versioned
+   * model is set to the version in the data, as given by
+   * `applyNextVersion`, or else moved on by the statement: a counter is
+   * incremented, a timestamp set to the current time.
+   *
+   * @param {string} model The model name
+   * @param {Object} data The property/value object representing changes
+   * @param {Boolean} [excludeIds] Leave out the id properties, the default
+   * @returns {ParameterizedSQL} The SET clause
+   */
+  Informix.prototype.buildFieldsForUpdate = function(
+    model, data, excludeIds) {
+    var name = this.versionProperty(model);
+    var setClause = SqlConnector.prototype.buildFieldsForUpdate.call(this,
+      model, withoutProperty(data, name), excludeIds);
+    if (!name) {
+      return setClause;
+    }
+
+    var column = this.columnEscaped(model, name);
+    var next;
+    if (data[name] != null) {
+      next = new ParameterizedSQL(column + ' = ?', [this.toColumnValue(
+        this.getPropertyDefinition(model, name), data[name])]);
+    } else {
+      next = new ParameterizedSQL(column + ' = ' +
+        (isTimestamp(this, model, name) ? 'CURRENT YEAR TO FRACTION(3)' :
+          column + ' + 1'));
+    }
+    // The SET clause of no other changes is the keyword alone
+    return setClause.merge(next, /^SET\s*$/.test(setClause.sql) ? '' : ',');
+  };
+
+  /**
+   * Build the column definition of a version property: NOT NULL, with the
+   * first version as its default
+   *
+   * @param {string} model The model name
+   * @param {string} prop The property name
+   * @returns {string} The column definition
+   */
+  Informix.prototype.buildVersionColumnDefinition = function(model, prop) {
+    return this.columnDataType(model, prop) + ' DEFAULT ' +
+      (isTimestamp(this, model, prop) ? 'CURRENT YEAR TO FRACTION(3)' : '1') +
+      ' NOT NULL';
+  };
+
+  /**
+   * Tell if the version of a row is the one a write expects
+   *
+   * @param {string} model The model name
+   * @param {*} actual The version column as read from the row
+   * @param {*} expected The version in the data of the write
+   * @returns {Boolean} True if the versions are the same
+   */
+  Informix.prototype.isSameVersion = function(model, actual, expected) {
+    var prop = this.getPropertyDefinition(model, this.versionProperty(model));
+    actual = this.fromColumnValue(prop, actual);
+    if (actual instanceof Date || expected instanceof Date) {
+      return new Date(actual).getTime() === new Date(expected).getTime();
+    }
+    return Number(actual) === Number(expected);
+  };
+
+  /**
+   * Read the version of the row with the id of a model instance
+   *
+   * @param {Object} connection The connection
+   * @param {string} model The model name
+   * @param {Object} data The model instance data
+   * @param {Object} options The options object
+   * @param {Function} cb The callback function, called with the version, or
+   * undefined if there is no such row
+   */
+  Informix.prototype.fetchVersion = function(
+    connection, model, data, options, cb) {
+    var self = this;
+    var name = self.versionProperty(model);
+    var where = {};
+    self.idNames(model).forEach(function(idName) {
+      where[idName] = data[idName];
+    });
+
+    var stmt = new ParameterizedSQL('SELECT ' +
+      self.columnEscaped(model, name) + ' AS version FROM ' +
+      self.tableEscaped(model, options));
+    stmt.merge(self.buildWhere(model, where));
+    stmt = self.parameterize(stmt);
+    self.runStatement(connection, stmt, options, function(err, rows) {
+      if (err) {
+        return cb(err);
+      }
+      cb(null, rows.length ? self.fromColumnValue(
+        self.getPropertyDefinition(model, name), rows[0].version) : undefined);
+    });
+  };
+
+  /**
+   * Explain a write of a model instance that failed on a duplicate key: a
+   * conflict if the row with its id is at another version than the one in
+   * the data, else the error itself
+   *
+   * @param {Object} connection The connection
+   * @param {string} model The model name
+   * @param {Object} data The model instance data
+   * @param {Object} options The options object
+   * @param {Error} err The error of the write
+   * @param {Function} cb The callback function, called with the error
+   */
+  Informix.prototype.checkVersion = function(
+    connection, model, data, options, err, cb) {
+    var self = this;
+    var expected = data[self.versionProperty(model)];
+    self.fetchVersion(connection, model, data, options,
+      function(readErr, version) {
+        if (!readErr && version !== undefined &&
+          !self.isSameVersion(model, version, expected)) {
+          return cb(self.conflictError(model, expected));
+        }
+        cb(err);
+      });
+  };
+
+  /**
+   * Report a write that found the row changed since it was read
+   *
+   * @param {string} model The model name
+   * @param {*} version The version the write expected
+   * @returns {Error} The error, with the `code` CONFLICT
+   */
+  Informix.prototype.conflictError = function(model, version) {
+    var err = new Error(g.f('The %s instance was changed since version %s ' +
+      'was read', model, version instanceof Date ?
+      version.toISOString() : version));
+    err.code = 'CONFLICT';
+    err.statusCode = 409;
+    err.version = version;
+    return err;
+  };
+}
+
+/*!
+ * Tell if the version property of a model holds a time
+ *
+ * @param {Informix} connector The connector
+ * @param {string} model The model name
+ * @param {string} name The property name
+ * @returns {Boolean} True for a Date property
+ */
+function isTimestamp(connector, model, name) {
+  var prop = connector.getPropertyDefinition(model, name);
+  return prop.type === Date || prop.type.name === 'Date';
+}
+
+/*!
+ * Build the key of an instance among the instances being written
+ *
+ * @param {Informix} connector The connector
+ * @param {string} model The model name
+ * @param {Object} data The instance, or an object with its id values
+ * @returns {string} The key
+ */
+function instanceKey(connector, model, data) {
+  return model + ':' + JSON.stringify(connector.idNames(model).map(
+    function(idName) {
+      return data[idName];
+    }));
+}
+
+/*!
+ * Copy an object without one of its properties
+ *
+ * @param {Object} data The object
+ * @param {string} [name] The property to leave out
+ * @returns {Object} The copy, or the object itself if there is no property
+ * to leave out
+ */
+function withoutProperty(data, name) {
+  if (!name) {
+    return data;
+  }
+  var copy = {};
+  Object.keys(data).forEach(function(key) {
+    if (key !== name) {
+      copy[key] = data[key];
+    }
+  });
+  return copy;
+}
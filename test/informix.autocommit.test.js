@@ -0,0 +1,82 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+/* global sinon */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var db, Item;
+
+describe('autocommit writes', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Item = db.define('AutocommitItem', {
+      name: {type: String},
+      qty: {type: Number},
+    });
+    db.automigrate('AutocommitItem', done);
+  });
+
+  var begin, commit;
+
+  beforeEach(function() {
+    begin = sinon.spy(db.connector, 'beginTransaction');
+    commit = sinon.spy(db.connector, 'commit');
+  });
+
+  afterEach(function() {
+    begin.restore();
+    commit.restore();
+  });
+
+  // The write ran without BEGIN and COMMIT and gave its connection back
+  function assertAutocommit(size) {
+    var stats = db.connector.getPoolStats();
+    begin.called.should.be.false();
+    commit.called.should.be.false();
+    stats.active.should.equal(0);
+    stats.size.should.equal(size);
+  }
+
+  it('creates without a transaction', function(done) {
+    Item.create({name: 'first', qty: 1}, function(err) {
+      if (err) return done(err);
+      var size = db.connector.getPoolStats().size;
+      Item.create({name: 'second', qty: 2}, function(err, item) {
+        if (err) return done(err);
+        item.should.have.property('id');
+        assertAutocommit(size);
+        done();
+      });
+    });
+  });
+
+  it('updates without a transaction', function(done) {
+    var size = db.connector.getPoolStats().size;
+    Item.updateAll({qty: 1}, {name: 'updated'}, function(err, info) {
+      if (err) return done(err);
+      info.count.should.equal(1);
+      assertAutocommit(size);
+      done();
+    });
+  });
+
+  it('deletes without a transaction', function(done) {
+    var size = db.connector.getPoolStats().size;
+    Item.destroyAll({qty: 2}, function(err, info) {
+      if (err) return done(err);
+      info.count.should.equal(1);
+      assertAutocommit(size);
+      done();
+    });
+  });
+});
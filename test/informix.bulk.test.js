@@ -0,0 +1,192 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+/* global sinon */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var Transaction = require('loopback-connector').Transaction;
+
+var db, Item;
+
+describe('createAll', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Item = db.define('BulkItem', {
+      code: {type: String, length: 20, index: {unique: true}},
+      qty: {type: Number},
+    });
+    db.automigrate('BulkItem', done);
+  });
+
+  beforeEach(function(done) {
+    Item.destroyAll(done);
+  });
+
+  function items(count) {
+    var rows = [];
+    for (var i = 0; i < count; i++) {
+      rows.push({code: 'item' + i, qty: i});
+    }
+    return rows;
+  }
+
+  it('inserts the rows in batches and returns their ids in order',
+    function(done) {
+      db.connector.createAll('BulkItem', items(25), {batchSize: 10},
+        function(err, ids) {
+          if (err) return done(err);
+          ids.should.have.length(25);
+          Item.find({order: 'id'}, function(err, found) {
+            if (err) return done(err);
+            found.map(function(item) { return item.id; }).should.eql(ids);
+            found[24].code.should.equal('item24');
+            done();
+          });
+        });
+    });
+
+  it('reads the generated ids once per batch', function(done) {
+    var fetch = sinon.spy(db.connector, 'fetchGeneratedId');
+    db.connector.createAll('BulkItem', items(25), {batchSize: 10},
+      function(err, ids) {
+        fetch.restore();
+        if (err) return done(err);
+        // The first and the last id of each of the three batches
+        fetch.callCount.should.equal(6);
+        ids[24].should.equal(ids[0] + 24);
+        done();
+      });
+  });
+
+  it('reads the id of each row when the ids of a batch are not consecutive',
+    function(done) {
+      var fetchGeneratedId = db.connector.fetchGeneratedId;
+      var calls = 0;
+      var fetch = sinon.stub(db.connector, 'fetchGeneratedId',
+        function(conn, model, options, cb) {
+          fetchGeneratedId.call(db.connector, conn, model, options,
+            function(err, id) {
+              // As if another session took an id in the middle of the batch
+              cb(err, ++calls === 2 ? id + 1 : id);
+            });
+        });
+      db.connector.createAll('BulkItem', items(5), function(err, ids) {
+        fetch.restore();
+        if (err) return done(err);
+        // The first and the last id, then the id of each row
+        fetch.callCount.should.equal(7);
+        Item.find({order: 'id'}, function(err, found) {
+          if (err) return done(err);
+          found.map(function(item) { return item.id; }).should.eql(ids);
+          done();
+        });
+      });
+    });
+
+  it('passes data it cannot insert to the callback', function(done) {
+    var sync = true;
+    db.connector.createAll('BulkItem', items(2), {schema: 'a; DROP TABLE x'},
+      function(err) {
+        sync.should.be.false();
+        err.message.should.match(/Invalid schema/);
+        done();
+      });
+    sync = false;
+  });
+
+  it('reads no ids for a model that does not generate them',
+    function(done) {
+      db.define('BulkCode', {
+        code: {type: String, length: 20, id: true},
+        qty: {type: Number},
+      });
+      db.automigrate('BulkCode', function(err) {
+        if (err) return done(err);
+        var fetch = sinon.spy(db.connector, 'fetchGeneratedId');
+        db.connector.createAll('BulkCode', [{code: 'a'}, {code: 'b'}],
+          function(err, ids) {
+            fetch.restore();
+            if (err) return done(err);
+            fetch.called.should.be.false();
+            ids.should.eql(['a', 'b']);
+            done();
+          });
+      });
+    });
+
+  it('keeps given ids and rows that set different properties',
+    function(done) {
+      var rows = [{code: 'a'}, {id: 9000, code: 'b', qty: 1}, {code: 'c'}];
+      db.connector.createAll('BulkItem', rows, function(err, ids) {
+        if (err) return done(err);
+        ids[1].should.equal(9000);
+        ids[2].should.be.above(9000);
+        Item.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(3);
+          done();
+        });
+      });
+    });
+
+  it('rolls back all rows when one fails', function(done) {
+    var rows = items(5);
+    rows[3].code = 'item0';
+    db.connector.createAll('BulkItem', rows, function(err) {
+      err.should.have.properties({code: 'DUPLICATE_KEY', index: 3});
+      Item.count(function(err, count) {
+        if (err) return done(err);
+        count.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  it('skips failing rows with continueOnError', function(done) {
+    var rows = items(5);
+    rows[1].code = 'item0';
+    rows[3].code = 'item0';
+    db.connector.createAll('BulkItem', rows, {continueOnError: true},
+      function(err, ids, failures) {
+        if (err) return done(err);
+        failures.map(function(f) { return f.index; }).should.eql([1, 3]);
+        failures[0].code.should.equal('DUPLICATE_KEY');
+        (ids[1] === undefined).should.be.true();
+        Item.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(3);
+          done();
+        });
+      });
+  });
+
+  it('runs in a given transaction', function(done) {
+    Transaction.begin(db.connector, Transaction.READ_COMMITTED,
+      function(err, tx) {
+        if (err) return done(err);
+        db.connector.createAll('BulkItem', items(3), {transaction: tx},
+          function(err, ids) {
+            if (err) return done(err);
+            ids.should.have.length(3);
+            tx.rollback(function(err) {
+              if (err) return done(err);
+              Item.count(function(err, count) {
+                if (err) return done(err);
+                count.should.equal(0);
+                done();
+              });
+            });
+          });
+      });
+  });
+});
@@ -0,0 +1,254 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+var DataSource = require('loopback-datasource-juggler').DataSource;
+
+var db, connector, Customer;
+
+describe('error normalization', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Customer = db.define('ErrCustomer', {
+      id: {type: Number, id: true},
+      email: {type: String, length: 64, nullable: false},
+    });
+    db.automigrate('ErrCustomer', done);
+  });
+
+  it('reports a unique index violation as DUPLICATE_KEY', function(done) {
+    Customer.create({id: 1, email: 'a@example.com'}, function(err) {
+      if (err) return done(err);
+      Customer.create({id: 1, email: 'b@example.com'}, function(err) {
+        err.should.have.property('code', 'DUPLICATE_KEY');
+        err.should.have.property('statusCode', 409);
+        done();
+      });
+    });
+  });
+
+  it('normalizes errors from execute', function(done) {
+    connector.execute('INSERT INTO ErrCustomer (id, email) ' +
+      'VALUES (1, \'c@example.com\')', function(err) {
+      err.should.have.property('code', 'DUPLICATE_KEY');
+      done();
+    });
+  });
+
+  it('reports a missing value as NOT_NULL_VIOLATION', function(done) {
+    connector.execute('INSERT INTO ErrCustomer (id) VALUES (2)',
+      function(err) {
+        err.should.have.property('code', 'NOT_NULL_VIOLATION');
+        err.should.have.property('statusCode', 422);
+        err.should.have.property('column', 'email');
+        done();
+      });
+  });
+
+  it('parses the SQLCODE and ISAM code from the message', function() {
+    var err = connector.normalizeError(new Error('Could not insert new row ' +
+      '- duplicate value in a UNIQUE INDEX column (Unique Index:ix101_1). ' +
+      '(-239)\nISAM error: duplicate value for a record with unique key. ' +
+      '(-100)'));
+    err.should.have.properties({
+      code: 'DUPLICATE_KEY',
+      statusCode: 409,
+      sqlcode: -239,
+      isamCode: -100,
+      constraint: 'ix101_1',
+    });
+  });
+
+  it('lets the ISAM code decide a generic read error', function() {
+    var err = connector.normalizeError(new Error('Could not do a ' +
+      'physical-order read to fetch next row. (-244)\nISAM error: ' +
+      'deadlock detected (-143)'));
+    err.should.have.properties({code: 'DEADLOCK', statusCode: 503});
+
+    err = connector.normalizeError({sqlcode: -244, isamCode: -154,
+      message: 'Could not do a physical-order read to fetch next row.'});
+    err.should.be.an.instanceOf(Error);
+    err.should.have.properties({code: 'LOCK_TIMEOUT', statusCode: 503});
+  });
+
+  it('reports the referential constraint', function() {
+    var err = connector.normalizeError({sqlcode: -691, state: '23000',
+      message: 'Missing key in referenced table for referential ' +
+      'constraint (informix.r104_7).'});
+    err.should.have.properties({
+      code: 'FOREIGN_KEY_VIOLATION',
+      statusCode: 422,
+      constraint: 'informix.r104_7',
+    });
+
+    err = connector.normalizeError({sqlcode: -692, message: 'Key value ' +
+      'for constraint (informix.r104_7) is still being referenced.'});
+    err.should.have.properties({code: 'FOREIGN_KEY_VIOLATION',
+      statusCode: 409});
+  });
+
+  it('falls back to the SQLSTATE', function() {
+    var err = connector.normalizeError(new Error('[IBM][CLI Driver] ' +
+      'SQL0803N  One or more values in the INSERT statement are not ' +
+      'valid. SQLSTATE=23505'));
+    err.should.have.properties({code: 'DUPLICATE_KEY', state: '23505'});
+  });
+
+  it('leaves unknown errors and errors with a code alone', function() {
+    var unknown = new Error('Syntax error (-201)');
+    connector.normalizeError(unknown).should.equal(unknown);
+    unknown.should.not.have.property('code');
+
+    var coded = new Error('Session initialization failed (-239)');
+    coded.code = 'SESSION_INIT_FAILED';
+    connector.normalizeError(coded).code.should.equal('SESSION_INIT_FAILED');
+  });
+
+  after(function(done) {
+    db.automigrate('ErrCustomer', done);
+  });
+});
+
+describe('retry', function() {
+  function retryConnector(retry) {
+    var dbConfig = {};
+    Object.keys(global.config).forEach(function(key) {
+      dbConfig[key] = global.config[key];
+    });
+    dbConfig.retry = retry;
+    return new DataSource(require('../'), dbConfig).connector;
+  }
+
+  // An operation failing with the given errors before it succeeds
+  function failing(errors) {
+    var operation = function(cb) {
+      operation.calls++;
+      var err = errors.shift();
+      if (err) return cb(err);
+      cb(null, 'ok');
+    };
+    operation.calls = 0;
+    return operation;
+  }
+
+  function deadlock() {
+    return new Error('Could not do a physical-order read to fetch next ' +
+      'row. (-244)\nISAM error: deadlock detected (-143)');
+  }
+
+  it('retries transient errors until the operation succeeds', function(done) {
+    var connector = retryConnector({delay: 1});
+    var operation = failing([deadlock(), deadlock()]);
+    connector.withRetry({}, operation, function(err, result) {
+      if (err) return done(err);
+      result.should.equal('ok');
+      operation.calls.should.equal(3);
+      done();
+    });
+  });
+
+  it('reports the attempts on the final error', function(done) {
+    var connector = retryConnector({delay: 1, maxAttempts: 2});
+    var operation = failing([deadlock(), deadlock(), deadlock()]);
+    connector.withRetry({}, operation, function(err) {
+      err.should.have.properties({code: 'DEADLOCK', attempts: 2});
+      operation.calls.should.equal(2);
+      done();
+    });
+  });
+
+  it('does not retry errors it is not configured for', function(done) {
+    var connector = retryConnector({delay: 1, errors: ['LOCK_TIMEOUT']});
+    var operation = failing([deadlock()]);
+    connector.withRetry({}, operation, function(err) {
+      err.should.have.properties({code: 'DEADLOCK', attempts: 1});
+      operation.calls.should.equal(1);
+      done();
+    });
+  });
+
+  it('does not retry inside a transaction', function(done) {
+    var connector = retryConnector({delay: 1});
+    var operation = failing([deadlock()]);
+    connector.withRetry({transaction: {}}, operation, function(err) {
+      err.should.have.properties({code: 'DEADLOCK', attempts: 1});
+      operation.calls.should.equal(1);
+      done();
+    });
+  });
+
+  it('does not retry unless enabled', function(done) {
+    var connector = retryConnector(undefined);
+    var operation = failing([deadlock()]);
+    connector.withRetry({}, operation, function(err) {
+      err.should.have.properties({code: 'DEADLOCK', attempts: 1});
+      done();
+    });
+  });
+});
+
+describe('query timeout', function() {
+  var slowQuery = 'SELECT COUNT(*) AS cnt FROM syscolumns a, syscolumns b, ' +
+    'syscolumns c';
+
+  function timeoutDataSource(queryTimeout) {
+    var dbConfig = {};
+    Object.keys(global.config).forEach(function(key) {
+      dbConfig[key] = global.config[key];
+    });
+    dbConfig.queryTimeout = queryTimeout;
+    return new DataSource(require('../'), dbConfig);
+  }
+
+  it('cancels a statement exceeding the queryTimeout', function(done) {
+    var db = timeoutDataSource(1000);
+    db.connector.execute(slowQuery, function(err) {
+      err.should.have.properties({code: 'TIMEOUT', statusCode: 504});
+      db.connector.getPoolStats().active.should.equal(0);
+      done();
+    });
+  });
+
+  it('accepts a per-call queryTimeout', function(done) {
+    var db = timeoutDataSource(0);
+    db.connector.execute(slowQuery, [], {queryTimeout: 1000}, function(err) {
+      err.should.have.property('code', 'TIMEOUT');
+      done();
+    });
+  });
+
+  it('runs statements within the timeout', function(done) {
+    var db = timeoutDataSource(5000);
+    var Post = db.define('PostTimeout', {title: String});
+    db.automigrate('PostTimeout', function(err) {
+      if (err) return done(err);
+      Post.create({title: 'a'}, function(err) {
+        if (err) return done(err);
+        Post.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(1);
+          Post.updateAll({title: 'a'}, {title: 'b'}, function(err, info) {
+            if (err) return done(err);
+            info.count.should.equal(1);
+            Post.destroyAll({}, {queryTimeout: 2000}, function(err, info) {
+              if (err) return done(err);
+              info.count.should.equal(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
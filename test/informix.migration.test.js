@@ -14,6 +14,7 @@ require('./init.js');
 require('should');
 var assert = require('assert');
 var Schema = require('loopback-datasource-juggler').Schema;
+var DataSource = require('loopback-datasource-juggler').DataSource;
 
 var db, UserData, NumberData, DateData;
 
@@ -378,6 +379,20 @@ describe('migrations', function() {
     });
   });
 
+  it('should keep the milliseconds of a date', function(done) {
+    var dt = new Date(2016, 0, 2, 3, 4, 5, 6);
+    db.connector.toColumnValue({type: Date}, dt)
+      .should.equal('2016-01-02 03:04:05.006');
+    DateData.create({dt: dt}, function(err, obj) {
+      if (err) return done(err);
+      DateData.findById(obj.id, function(err, found) {
+        if (err) return done(err);
+        found.dt.getTime().should.equal(dt.getTime());
+        done();
+      });
+    });
+  });
+
   it('should report errors for automigrate', function() {
     db.automigrate('XYZ', function(err) {
       assert(err);
@@ -396,6 +411,246 @@ describe('migrations', function() {
   });
 });
 
+describe('generated ids', function() {
+  var idDb, BigItem, Serial8Item, SeqItem;
+
+  before(function(done) {
+    idDb = global.getDataSource();
+    BigItem = idDb.define('BigSerialItem', {
+      id: {type: Number, id: true, generated: true, dataType: 'BIGSERIAL'},
+      name: String,
+    });
+    Serial8Item = idDb.define('Serial8Item', {
+      id: {type: Number, id: true, generated: true, dataType: 'SERIAL8'},
+      name: String,
+    });
+    SeqItem = idDb.define('SequenceItem', {
+      id: {type: Number, id: true, sequence: 'seq_item_ids',
+        dataType: 'BIGINT'},
+      name: String,
+    });
+    idDb.automigrate(['BigSerialItem', 'Serial8Item', 'SequenceItem'], done);
+  });
+
+  it('builds the column type of generated ids', function() {
+    idDb.connector.buildColumnDefinition('BigSerialItem', 'id')
+      .should.equal('BIGSERIAL NOT NULL PRIMARY KEY');
+    idDb.connector.buildColumnDefinition('Serial8Item', 'id')
+      .should.equal('SERIAL8 NOT NULL PRIMARY KEY');
+    idDb.connector.buildColumnDefinition('SequenceItem', 'id')
+      .should.equal('BIGINT NOT NULL PRIMARY KEY');
+  });
+
+  it('returns BIGSERIAL ids', function(done) {
+    BigItem.create({id: 5000000000, name: 'a'}, function(err) {
+      if (err) return done(err);
+      BigItem.create({name: 'b'}, function(err, item) {
+        if (err) return done(err);
+        item.id.should.equal(5000000001);
+        done();
+      });
+    });
+  });
+
+  it('returns SERIAL8 ids', function(done) {
+    Serial8Item.create({name: 'a'}, function(err, first) {
+      if (err) return done(err);
+      Serial8Item.create({name: 'b'}, function(err, second) {
+        if (err) return done(err);
+        second.id.should.equal(first.id + 1);
+        done();
+      });
+    });
+  });
+
+  it('takes ids from the sequence', function(done) {
+    SeqItem.create({name: 'a'}, function(err, first) {
+      if (err) return done(err);
+      SeqItem.create({name: 'b'}, function(err, second) {
+        if (err) return done(err);
+        second.id.should.equal(first.id + 1);
+        SeqItem.findById(second.id, function(err, found) {
+          if (err) return done(err);
+          found.name.should.equal('b');
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe('composite primary keys', function() {
+  var keyDb, Line;
+
+  before(function(done) {
+    keyDb = global.getDataSource();
+    Line = keyDb.define('OrderLine', {
+      orderId: {type: Number, id: 1},
+      lineNo: {type: Number, id: 2},
+      qty: Number,
+    });
+    keyDb.automigrate('OrderLine', done);
+  });
+
+  it('declares a primary key over all id columns', function() {
+    keyDb.connector.buildColumnDefinitions('OrderLine')
+      .should.match(/PRIMARY KEY \(orderId,lineNo\)$/);
+  });
+
+  it('rejects a duplicate key', function(done) {
+    Line.create({orderId: 1, lineNo: 1, qty: 1}, function(err) {
+      if (err) return done(err);
+      Line.create({orderId: 1, lineNo: 2, qty: 1}, function(err) {
+        if (err) return done(err);
+        Line.create({orderId: 1, lineNo: 1, qty: 2}, function(err) {
+          err.should.have.property('code', 'DUPLICATE_KEY');
+          done();
+        });
+      });
+    });
+  });
+
+  it('upserts by all id columns', function(done) {
+    keyDb.connector.updateOrCreate('OrderLine',
+      {orderId: 1, lineNo: 2, qty: 5}, {}, function(err, data, info) {
+        if (err) return done(err);
+        info.isNewInstance.should.be.false();
+        Line.find({where: {orderId: 1}, order: 'lineNo'},
+          function(err, lines) {
+            if (err) return done(err);
+            lines.map(function(l) { return l.qty; }).should.eql([1, 5]);
+            done();
+          });
+      });
+  });
+
+  it('updates and deletes by key columns', function(done) {
+    Line.updateAll({orderId: 1}, {qty: 7}, function(err, info) {
+      if (err) return done(err);
+      info.count.should.equal(2);
+      Line.destroyAll({lineNo: 1}, function(err, info) {
+        if (err) return done(err);
+        info.count.should.equal(1);
+        done();
+      });
+    });
+  });
+});
+
+describe('per-request schema', function() {
+  var tenantDb, Tenant;
+
+  before(function(done) {
+    var dbConfig = {};
+    Object.keys(global.config).forEach(function(key) {
+      dbConfig[key] = global.config[key];
+    });
+    dbConfig.schemaResolver = function(options) {
+      return options.tenant;
+    };
+    tenantDb = new DataSource(require('../'), dbConfig);
+    Tenant = tenantDb.define('TenantData', {name: String});
+
+    tenantDb.connector.automigrate('TenantData', {schema: 'tenant_a'},
+      function(err) {
+        if (err) return done(err);
+        tenantDb.connector.automigrate('TenantData', {tenant: 'tenant_b'},
+          done);
+      });
+  });
+
+  it('qualifies the table with options.schema', function() {
+    var stmt = tenantDb.connector.buildSelect('TenantData', {},
+      {schema: 'tenant_a'});
+    stmt.sql.should.match(/FROM tenant_a\.TenantData/);
+    tenantDb.connector.buildDelete('TenantData', {}, {schema: 'tenant_a'})
+      .sql.should.match(/^DELETE FROM tenant_a\.TenantData/);
+  });
+
+  it('qualifies the table with the schemaResolver', function() {
+    var stmt = tenantDb.connector.buildUpdate('TenantData', {name: 'a'},
+      {name: 'b'}, {tenant: 'tenant_b'});
+    stmt.sql.should.match(/^UPDATE tenant_b\.TenantData/);
+  });
+
+  it('leaves the table unqualified without a schema', function() {
+    var stmt = tenantDb.connector.buildSelect('TenantData', {}, {});
+    stmt.sql.should.match(/FROM TenantData/);
+  });
+
+  it('rejects an invalid schema', function() {
+    (function() {
+      tenantDb.connector.buildSelect('TenantData', {},
+        {schema: 'a; DROP TABLE x'});
+    }).should.throw(/Invalid schema/);
+  });
+
+  it('passes an invalid schema to the callback', function(done) {
+    var options = {schema: 'a; DROP TABLE x'};
+    Tenant.count({}, options, function(err) {
+      err.message.should.match(/Invalid schema/);
+      tenantDb.connector.createTable('TenantData', options, function(err) {
+        err.message.should.match(/Invalid schema/);
+        tenantDb.connector.dropTable('TenantData', options, function(err) {
+          err.message.should.match(/Invalid schema/);
+          done();
+        });
+      });
+    });
+  });
+
+  it('alters the table in the schema of the call', function(done) {
+    var fields = [{NAME: 'id', DATATYPE: 'INTEGER'}];
+    tenantDb.connector.alterTable('TenantData', fields, [],
+      {schema: 'tenant_a'}, function(err, changed, info) {
+        if (err) return done(err);
+        info.statements[0].should.match(/^ALTER TABLE tenant_a\.TenantData /);
+        done();
+      }, true);
+  });
+
+  it('finds and replaces an instance in the schema of the call',
+    function(done) {
+      Tenant.create({name: 'a'}, {schema: 'tenant_a'}, function(err, t) {
+        if (err) return done(err);
+        Tenant.exists(t.id, {schema: 'tenant_b'}, function(err, exists) {
+          if (err) return done(err);
+          exists.should.be.false();
+          Tenant.replaceById(t.id, {name: 'b'}, {schema: 'tenant_a'},
+            function(err) {
+              if (err) return done(err);
+              Tenant.findById(t.id, {schema: 'tenant_a'},
+                function(err, found) {
+                  if (err) return done(err);
+                  found.name.should.equal('b');
+                  done();
+                });
+            });
+        });
+      });
+    });
+
+  it('keeps the data of concurrent requests apart', function(done) {
+    var pending = 2;
+    Tenant.create({name: 'a'}, {schema: 'tenant_a'}, created);
+    Tenant.create({name: 'b'}, {tenant: 'tenant_b'}, created);
+
+    function created(err) {
+      if (err) return done(err);
+      if (--pending) return;
+      Tenant.find({}, {schema: 'tenant_a'}, function(err, a) {
+        if (err) return done(err);
+        Tenant.count({}, {tenant: 'tenant_b'}, function(err, count) {
+          if (err) return done(err);
+          a.map(function(t) { return t.name; }).should.eql(['a']);
+          count.should.equal(1);
+          done();
+        });
+      });
+    }
+  });
+});
+
 var query = function(sql, cb) {
   db.adapter.execute(sql, cb);
 };
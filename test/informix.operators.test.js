@@ -0,0 +1,130 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var db, Person;
+
+describe('where operators', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Person = db.define('OperatorPerson', {
+      name: {type: String},
+      code: {type: String},
+    });
+    db.automigrate('OperatorPerson', function(err) {
+      if (err) return done(err);
+      db.connector.createAll('OperatorPerson', [
+        {id: 1, name: 'McLaren', code: '100%'},
+        {id: 2, name: 'mcdonald', code: '1000'},
+        {id: 3, name: 'Smith', code: '10_5'},
+        {id: 4, name: 'Jones', code: '105'},
+        {id: 5, name: 'Brown', code: '10\\5'},
+      ], {}, done);
+    });
+  });
+
+  function ids(people) {
+    return people.map(function(p) {
+      return p.id;
+    }).sort();
+  }
+
+  function find(where, cb) {
+    Person.find({where: where}, function(err, people) {
+      cb(err, people && ids(people));
+    });
+  }
+
+  it('matches like wildcards literally when escaped', function(done) {
+    var stmt = db.connector.buildExpression('CODE', 'like', '100\\%');
+    stmt.sql.should.equal('CODE LIKE ? ESCAPE \'\\\'');
+    stmt.params.should.eql(['100\\%']);
+    find({code: {like: '100\\%'}}, function(err, found) {
+      if (err) return done(err);
+      found.should.eql([1]);
+      find({code: {like: '10\\_%'}}, function(err, found) {
+        if (err) return done(err);
+        found.should.eql([3]);
+        find({code: {nlike: '10\\\\%'}}, function(err, found) {
+          if (err) return done(err);
+          found.should.eql([1, 2, 3, 4]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('takes a trailing backslash of a pattern literally', function() {
+    db.connector.buildExpression('CODE', 'like', '10\\').params
+      .should.eql(['10\\\\']);
+    db.connector.buildExpression('CODE', 'nlike', '10\\\\').params
+      .should.eql(['10\\\\']);
+  });
+
+  it('matches ilike wildcards literally when escaped', function(done) {
+    var stmt = db.connector.buildExpression('CODE', 'ilike', '100\\%');
+    stmt.sql.should.equal('LOWER(CODE) LIKE ? ESCAPE \'\\\'');
+    find({code: {ilike: '100\\%'}}, function(err, found) {
+      if (err) return done(err);
+      found.should.eql([1]);
+      find({code: {nilike: '10\\_%'}}, function(err, found) {
+        if (err) return done(err);
+        found.should.eql([1, 2, 4, 5]);
+        done();
+      });
+    });
+  });
+
+  it('ignores case with ilike and nilike', function(done) {
+    find({name: {ilike: 'MC%'}}, function(err, found) {
+      if (err) return done(err);
+      found.should.eql([1, 2]);
+      find({name: {nilike: 'mc%'}}, function(err, found) {
+        if (err) return done(err);
+        found.should.eql([3, 4, 5]);
+        done();
+      });
+    });
+  });
+
+  it('runs a simple regexp as MATCHES', function(done) {
+    var stmt = db.connector.buildExpression('NAME', 'regexp', /^Mc.*n$/i);
+    stmt.sql.should.equal('LOWER(NAME) MATCHES ? ESCAPE \'\\\'');
+    stmt.params.should.eql(['mc*n']);
+    find({name: {regexp: /^[MS].*[nh]$/}}, function(err, found) {
+      if (err) return done(err);
+      found.should.eql([1, 3]);
+      find({name: {regexp: /^mc/i}}, function(err, found) {
+        if (err) return done(err);
+        found.should.eql([1, 2]);
+        done();
+      });
+    });
+  });
+
+  it('rejects a regexp MATCHES cannot express', function(done) {
+    find({name: {regexp: /^(Mc|Sm)\w+/}}, function(err) {
+      err.should.have.property('statusCode', 400);
+      done();
+    });
+  });
+
+  it('runs other regexps with regex_match if enabled', function() {
+    var connector = Object.create(db.connector);
+    connector.connectionSettings = {regexMatch: true};
+    var stmt = connector.buildExpression('NAME', 'regexp', /^\d+(a|b)$/i);
+    stmt.sql.should.equal('regex_match(NAME, ?, 3)');
+    stmt.params.should.eql(['^[[:digit:]]+(a|b)$']);
+  });
+});
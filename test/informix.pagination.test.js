@@ -0,0 +1,162 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var db, Entry;
+
+describe('keyset pagination', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Entry = db.define('KeysetEntry', {
+      grp: {type: Number},
+      label: {type: String},
+    });
+    db.automigrate('KeysetEntry', function(err) {
+      if (err) return done(err);
+      var rows = [];
+      for (var i = 1; i <= 10; i++) {
+        rows.push({id: i, grp: i % 3, label: 'e' + i});
+      }
+      db.connector.createAll('KeysetEntry', rows, {}, done);
+    });
+  });
+
+  function ids(entries) {
+    return entries.map(function(e) {
+      return e.id;
+    });
+  }
+
+  it('pages forward in the order of the filter', function(done) {
+    var page = {};
+    var filter = {order: 'grp DESC', limit: 4};
+    Entry.find(filter, {page: page}, function(err, first) {
+      if (err) return done(err);
+      ids(first).should.eql([2, 5, 8, 1]);
+      (page.previous === null).should.be.true();
+      filter.after = page.next;
+      var next = {};
+      Entry.find(filter, {page: next}, function(err, second) {
+        if (err) return done(err);
+        ids(second).should.eql([4, 7, 10, 3]);
+        filter.after = next.next;
+        var last = {};
+        Entry.find(filter, {page: last}, function(err, third) {
+          if (err) return done(err);
+          ids(third).should.eql([6, 9]);
+          (last.next === null).should.be.true();
+          done();
+        });
+      });
+    });
+  });
+
+  it('pages backward from a cursor', function(done) {
+    var page = {};
+    var filter = {order: 'grp DESC', limit: 4};
+    Entry.find(filter, {page: page}, function(err) {
+      if (err) return done(err);
+      var second = {};
+      filter.after = page.next;
+      Entry.find(filter, {page: second}, function(err) {
+        if (err) return done(err);
+        var back = {};
+        delete filter.after;
+        filter.before = second.previous;
+        Entry.find(filter, {page: back}, function(err, rows) {
+          if (err) return done(err);
+          ids(rows).should.eql([2, 5, 8, 1]);
+          (back.previous === null).should.be.true();
+          back.next.should.equal(page.next);
+          done();
+        });
+      });
+    });
+  });
+
+  it('keeps its place while rows are inserted', function(done) {
+    var page = {};
+    var filter = {where: {grp: 0}, order: 'label', limit: 2};
+    Entry.find(filter, {page: page}, function(err, rows) {
+      if (err) return done(err);
+      ids(rows).should.eql([3, 6]);
+      // Sorts before the rows already read
+      Entry.create({id: 11, grp: 0, label: 'e0'}, function(err) {
+        if (err) return done(err);
+        filter.after = page.next;
+        Entry.find(filter, function(err, rows) {
+          if (err) return done(err);
+          ids(rows).should.eql([9]);
+          Entry.destroyById(11, done);
+        });
+      });
+    });
+  });
+
+  it('passes the cursors to the callback of the connector', function(done) {
+    db.connector.all('KeysetEntry', {order: 'grp DESC', limit: 4}, {page: {}},
+      function(err, rows, page) {
+        if (err) return done(err);
+        rows.should.have.length(4);
+        page.next.should.be.a.String();
+        (page.previous === null).should.be.true();
+        done();
+      });
+  });
+
+  it('pages over NULL values of the order', function(done) {
+    var Nullable = db.define('KeysetNullable', {
+      grp: {type: Number},
+    });
+    db.automigrate('KeysetNullable', function(err) {
+      if (err) return done(err);
+      Nullable.create([{id: 1, grp: 1}, {id: 2}, {id: 3, grp: 2}, {id: 4},
+        {id: 5, grp: 1}], function(err) {
+        if (err) return done(err);
+        readPages('grp', [2, 4, 1, 5, 3], function(err) {
+          if (err) return done(err);
+          readPages('grp DESC', [3, 1, 5, 2, 4], done);
+        });
+      });
+    });
+
+    // Read two rows at a time forward, then the first page back
+    function readPages(order, expected, cb) {
+      var found = [];
+      var page = {};
+      (function next(after) {
+        var filter = {order: order, limit: 2, after: after};
+        Nullable.find(filter, {page: page}, function(err, rows) {
+          if (err) return cb(err);
+          found = found.concat(ids(rows));
+          if (page.next) return next(page.next);
+          found.should.eql(expected);
+          Nullable.find({order: order, limit: 2, before: page.previous},
+            function(err, rows) {
+              if (err) return cb(err);
+              ids(rows).should.eql(expected.slice(2, 4));
+              cb();
+            });
+        });
+      })();
+    }
+  });
+
+  it('rejects a cursor it did not issue', function(done) {
+    Entry.find({after: 'not-a-cursor', limit: 2}, function(err) {
+      err.should.have.properties({code: 'INVALID_CURSOR', statusCode: 400});
+      done();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var db, Row;
+
+describe('streaming', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Row = db.define('StreamRow', {
+      seq: {type: Number},
+      label: {type: String},
+    }, {mixins: {Streamable: true}});
+    db.automigrate('StreamRow', function(err) {
+      if (err) return done(err);
+      var rows = [];
+      for (var i = 1; i <= 50; i++) {
+        rows.push({seq: i, label: 'row' + i});
+      }
+      db.connector.createAll('StreamRow', rows, {}, done);
+    });
+  });
+
+  it('streams the matching rows in order', function(done) {
+    var seqs = [];
+    db.connector.stream('StreamRow', {where: {seq: {gt: 10}}, order: 'seq'},
+      {fetchSize: 7})
+      .on('data', function(data) {
+        seqs.push(data.seq);
+      })
+      .on('error', done)
+      .on('end', function() {
+        seqs.length.should.equal(40);
+        seqs[0].should.equal(11);
+        seqs[39].should.equal(50);
+        done();
+      });
+  });
+
+  it('releases the connection when destroyed early', function(done) {
+    var active = db.connector.getPoolStats().active;
+    var rows = db.connector.stream('StreamRow', {}, {fetchSize: 5});
+    rows.once('data', function() {
+      rows.destroy();
+    });
+    rows.on('close', function() {
+      setImmediate(function() {
+        db.connector.getPoolStats().active.should.equal(active);
+        done();
+      });
+    });
+  });
+
+  it('passes on the error of the query', function(done) {
+    db.define('StreamMissing', {seq: {type: Number}});
+    db.connector.stream('StreamMissing')
+      .on('error', function(err) {
+        err.should.be.an.instanceOf(Error);
+        done();
+      })
+      .resume();
+  });
+
+  it('passes on the error of the query from the mixin', function(done) {
+    var Missing = db.define('StreamMissingModel', {seq: {type: Number}},
+      {mixins: {Streamable: true}});
+    Missing.stream()
+      .on('error', function(err) {
+        err.should.be.an.instanceOf(Error);
+        done();
+      })
+      .resume();
+  });
+
+  it('streams model instances from the mixin', function(done) {
+    var instances = [];
+    Row.stream({where: {seq: {lte: 3}}, order: 'seq'})
+      .on('data', function(row) {
+        instances.push(row);
+      })
+      .on('error', done)
+      .on('end', function() {
+        instances.length.should.equal(3);
+        instances[0].should.be.an.instanceOf(Row);
+        instances[2].label.should.equal('row3');
+        done();
+      });
+  });
+});
@@ -8,12 +8,14 @@
 var describe = require('./describe');
 
 /* eslint-env node, mocha */
+/* global sinon */
 process.env.NODE_ENV = 'test';
 
 require('./init.js');
 require('should');
 
 var Transaction = require('loopback-connector').Transaction;
+var DataSource = require('loopback-datasource-juggler').DataSource;
 
 var db, Post;
 
@@ -97,4 +99,95 @@ describe('transactions', function() {
 
     it.skip('should not see the rolledback insert', expectToFindPosts(post, 0));
   });
+
+  describe('isolation level', function() {
+    it('restores the default isolation level of the connection',
+      function(done) {
+        Transaction.begin(db.connector, Transaction.SERIALIZABLE,
+          function(err, tx) {
+            if (err) return done(err);
+            var conn = tx.connection;
+            var setLevel = sinon.spy(conn, 'setIsolationLevel');
+            tx.commit(function(err) {
+              setLevel.restore();
+              if (err) return done(err);
+              conn.getInfo(26, function(err, level) {
+                if (err) return done(err);
+                setLevel.calledOnce.should.be.true();
+                setLevel.firstCall.args[0].should.equal(Number(level));
+                done();
+              });
+            });
+          });
+      });
+
+    it('runs initSql again on the next borrow', function(done) {
+      var settings = {};
+      Object.keys(global.config).forEach(function(key) {
+        settings[key] = global.config[key];
+      });
+      settings.initSql = 'SET ISOLATION TO COMMITTED READ';
+      var isolated = new DataSource(require('../'), settings);
+      Transaction.begin(isolated.connector, Transaction.REPEATABLE_READ,
+        function(err, tx) {
+          if (err) return done(err);
+          var conn = tx.connection;
+          isolated.connector.initializedSessions.has(conn).should.be.true();
+          tx.rollback(function(err) {
+            if (err) return done(err);
+            isolated.connector.initializedSessions.has(conn)
+              .should.be.false();
+            isolated.disconnect(done);
+          });
+        });
+    });
+  });
+
+  describe('updates and deletes', function() {
+    beforeEach(function(done) {
+      Post.destroyAll(function(err) {
+        if (err) return done(err);
+        Post.create([{title: 'u', content: 'a'}, {title: 'u', content: 'b'},
+          {title: 'v', content: 'c'}], done);
+      });
+    });
+
+    it('counts the rows changed by a single statement', function(done) {
+      Post.updateAll({title: 'u'}, {content: 'x'}, function(err, info) {
+        if (err) return done(err);
+        info.count.should.equal(2);
+        Post.destroyAll({content: 'x'}, function(err, info) {
+          if (err) return done(err);
+          info.count.should.equal(2);
+          expectToFindPosts({}, 1)(done);
+        });
+      });
+    });
+
+    it('counts the locked rows with selectForUpdate', function(done) {
+      Post.updateAll({title: 'u'}, {content: 'y'}, {selectForUpdate: true},
+        function(err, info) {
+          if (err) return done(err);
+          info.count.should.equal(2);
+          expectToFindPosts({content: 'y'}, 2)(done);
+        });
+    });
+
+    it('rolls back a delete in a transaction', function(done) {
+      Transaction.begin(db.connector, Transaction.READ_COMMITTED,
+        function(err, tx) {
+          if (err) return done(err);
+          currentTx = tx;
+          Post.destroyAll({title: 'u'}, {transaction: tx},
+            function(err, info) {
+              if (err) return done(err);
+              info.count.should.equal(2);
+              tx.rollback(function(err) {
+                if (err) return done(err);
+                expectToFindPosts({title: 'u'}, 2)(done);
+              });
+            });
+        });
+    });
+  });
 });
@@ -0,0 +1,271 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+/* global sinon */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var db, Item;
+
+describe('upsert', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Item = db.define('UpsertItem', {
+      name: {type: String},
+      qty: {type: Number},
+    }, {forceId: false});
+    db.automigrate('UpsertItem', done);
+  });
+
+  beforeEach(function(done) {
+    Item.destroyAll(done);
+  });
+
+  it('inserts a new instance with a single MERGE', function(done) {
+    db.connector.updateOrCreate('UpsertItem', {id: 1, name: 'a', qty: 1}, {},
+      function(err, data, info) {
+        if (err) return done(err);
+        info.isNewInstance.should.be.true();
+        Item.findById(1, function(err, item) {
+          if (err) return done(err);
+          item.should.have.properties({name: 'a', qty: 1});
+          done();
+        });
+      });
+  });
+
+  it('updates the given properties of an existing instance',
+    function(done) {
+      Item.create({id: 2, name: 'a', qty: 1}, function(err) {
+        if (err) return done(err);
+        db.connector.updateOrCreate('UpsertItem', {id: 2, name: 'b'}, {},
+          function(err, data, info) {
+            if (err) return done(err);
+            info.isNewInstance.should.be.false();
+            Item.findById(2, function(err, item) {
+              if (err) return done(err);
+              item.should.have.properties({name: 'b', qty: 1});
+              done();
+            });
+          });
+      });
+    });
+
+  it('returns the id generated for a new instance', function(done) {
+    db.connector.updateOrCreate('UpsertItem', {name: 'g'}, {},
+      function(err, data, info) {
+        if (err) return done(err);
+        info.isNewInstance.should.be.true();
+        Item.findById(data.id, function(err, item) {
+          if (err) return done(err);
+          item.name.should.equal('g');
+          done();
+        });
+      });
+  });
+
+  it('tells if an instance with a given id is new', function(done) {
+    db.connector.updateOrCreate('UpsertItem', {id: 7, name: 'a'}, {},
+      function(err, data, info) {
+        if (err) return done(err);
+        info.isNewInstance.should.be.true();
+        db.connector.updateOrCreate('UpsertItem', {id: 7, name: 'b'}, {},
+          function(err, data, info) {
+            if (err) return done(err);
+            info.isNewInstance.should.be.false();
+            done();
+          });
+      });
+  });
+
+  it('tells if an instance with a natural key is new', function(done) {
+    db.define('UpsertCode', {
+      code: {type: String, length: 20, id: true},
+      name: {type: String},
+    });
+    db.automigrate('UpsertCode', function(err) {
+      if (err) return done(err);
+      db.connector.replaceOrCreate('UpsertCode', {code: 'a', name: 'a'}, {},
+        function(err, data, info) {
+          if (err) return done(err);
+          info.isNewInstance.should.be.true();
+          db.connector.replaceOrCreate('UpsertCode', {code: 'a', name: 'b'},
+            {}, function(err, data, info) {
+              if (err) return done(err);
+              info.isNewInstance.should.be.false();
+              done();
+            });
+        });
+    });
+  });
+
+  it('runs the MERGE without a transaction of its own', function(done) {
+    var begin = sinon.spy(db.connector, 'beginTransaction');
+    db.connector.updateOrCreate('UpsertItem', {id: 5, name: 'a'}, {},
+      function(err) {
+        begin.restore();
+        if (err) return done(err);
+        begin.called.should.be.false();
+        done();
+      });
+  });
+
+  it('passes an invalid schema to the callback', function(done) {
+    db.connector.replaceOrCreate('UpsertItem', {id: 6, name: 'a'},
+      {schema: 'not a schema'}, function(err) {
+        err.should.be.an.instanceOf(Error);
+        done();
+      });
+  });
+
+  it('replaces an existing instance', function(done) {
+    Item.create({id: 3, name: 'a', qty: 1}, function(err) {
+      if (err) return done(err);
+      Item.replaceOrCreate({id: 3, name: 'c'}, function(err) {
+        if (err) return done(err);
+        Item.findById(3, function(err, item) {
+          if (err) return done(err);
+          item.name.should.equal('c');
+          (item.qty == null).should.be.true();
+          done();
+        });
+      });
+    });
+  });
+
+  it('writes each id once under concurrent upserts', function(done) {
+    var pending = 5;
+    var created = 0;
+    for (var i = 0; i < 5; i++) {
+      db.connector.updateOrCreate('UpsertItem', {id: 4, name: 'n' + i}, {},
+        upserted);
+    }
+
+    function upserted(err, data, info) {
+      // A conflicting upsert may fail on the lock, never on the key
+      if (err) {
+        ['LOCK_TIMEOUT', 'DEADLOCK'].should.containEql(err.code);
+      } else if (info.isNewInstance) {
+        created++;
+      }
+      if (--pending) return;
+      created.should.be.belowOrEqual(1);
+      Item.count({id: 4}, function(err, count) {
+        if (err) return done(err);
+        count.should.equal(1);
+        done();
+      });
+    }
+  });
+
+  describe('findOrCreate', function() {
+    it('creates the instance once under concurrent callers', function(done) {
+      var pending = 5;
+      var created = 0;
+      for (var i = 0; i < 5; i++) {
+        Item.findOrCreate({where: {name: 'unique'}}, {name: 'unique'},
+          found);
+      }
+
+      function found(err, item, isNew) {
+        if (err) {
+          ['LOCK_TIMEOUT', 'DEADLOCK'].should.containEql(err.code);
+        } else if (isNew) {
+          created++;
+        }
+        if (--pending) return;
+        created.should.be.belowOrEqual(1);
+        Item.count({name: 'unique'}, function(err, count) {
+          if (err) return done(err);
+          count.should.equal(1);
+          done();
+        });
+      }
+    });
+
+    it('finds an existing instance', function(done) {
+      Item.create({name: 'existing', qty: 3}, function(err, existing) {
+        if (err) return done(err);
+        Item.findOrCreate({where: {name: 'existing'}}, {name: 'existing'},
+          function(err, item, created) {
+            if (err) return done(err);
+            created.should.be.false();
+            item.id.should.equal(existing.id);
+            item.qty.should.equal(3);
+            done();
+          });
+      });
+    });
+
+    it('passes a statement it cannot build to the callback', function(done) {
+      var sync = true;
+      db.connector.findOrCreate('UpsertItem', {where: {name: 'x'}},
+        {name: 'x'}, {schema: 'a; DROP TABLE x'}, function(err) {
+          sync.should.be.false();
+          err.message.should.match(/Invalid schema/);
+          done();
+        });
+      sync = false;
+    });
+  });
+
+  describe('upsertWithWhere', function() {
+    it('creates an instance when none matches', function(done) {
+      Item.upsertWithWhere({name: 'w'}, {name: 'w', qty: 1},
+        function(err, item) {
+          if (err) return done(err);
+          item.id.should.be.ok();
+          Item.count({name: 'w'}, function(err, count) {
+            if (err) return done(err);
+            count.should.equal(1);
+            done();
+          });
+        });
+    });
+
+    it('updates the instance that matches', function(done) {
+      Item.create({name: 'w', qty: 1}, function(err, existing) {
+        if (err) return done(err);
+        Item.upsertWithWhere({name: 'w'}, {qty: 2}, function(err, item) {
+          if (err) return done(err);
+          item.id.should.equal(existing.id);
+          Item.findById(existing.id, function(err, found) {
+            if (err) return done(err);
+            found.qty.should.equal(2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('refuses to update several instances', function(done) {
+      Item.create([{name: 'w'}, {name: 'w'}], function(err) {
+        if (err) return done(err);
+        Item.upsertWithWhere({name: 'w'}, {qty: 2}, function(err) {
+          err.should.have.property('statusCode', 400);
+          done();
+        });
+      });
+    });
+
+    it('passes a statement it cannot build to the callback', function(done) {
+      var sync = true;
+      db.connector.upsertWithWhere('UpsertItem', {name: 'x'}, {name: 'x'},
+        {schema: 'a; DROP TABLE x'}, function(err) {
+          sync.should.be.false();
+          err.message.should.match(/Invalid schema/);
+          done();
+        });
+      sync = false;
+    });
+  });
+});
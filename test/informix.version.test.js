@@ -0,0 +1,183 @@
+// Copyright IBM Corp. 2016. All Rights Reserved.
+// Node module: loopback-connector-informix
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+'use strict';
+
+var describe = require('./describe');
+
+/* eslint-env node, mocha */
+process.env.NODE_ENV = 'test';
+
+require('./init.js');
+require('should');
+
+var db, Task, Note;
+
+describe('optimistic locking', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Task = db.define('VersionedTask', {
+      title: {type: String},
+      version: {type: Number, default: 1},
+    }, {forceId: false, versionProperty: 'version'});
+    Note = db.define('VersionedNote', {
+      text: {type: String},
+      version: {type: Number},
+    }, {versionProperty: 'version'});
+    db.automigrate(['VersionedTask', 'VersionedNote'], done);
+  });
+
+  beforeEach(function(done) {
+    Task.destroyAll(function(err) {
+      if (err) return done(err);
+      Note.destroyAll(done);
+    });
+  });
+
+  it('creates the version column with a default', function() {
+    db.connector.buildColumnDefinition('VersionedTask', 'version')
+      .should.equal('INTEGER DEFAULT 1 NOT NULL');
+  });
+
+  it('stores the first version of a new instance', function(done) {
+    db.connector.create('VersionedTask', {title: 'a'}, {}, function(err, id) {
+      if (err) return done(err);
+      Task.findById(id, function(err, task) {
+        if (err) return done(err);
+        task.version.should.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('gives a new instance its first version', function(done) {
+    Note.create({text: 'a'}, function(err, note) {
+      if (err) return done(err);
+      note.version.should.equal(1);
+      Note.updateAll({id: note.id}, {text: 'b'}, function(err) {
+        if (err) return done(err);
+        note.updateAttributes({text: 'c'}, function(err) {
+          err.should.have.property('code', 'CONFLICT');
+          done();
+        });
+      });
+    });
+  });
+
+  it('gives the instances of createAll their first version', function(done) {
+    var notes = [{text: 'a'}, {text: 'b', version: 5}];
+    db.connector.createAll('VersionedNote', notes, {}, function(err) {
+      if (err) return done(err);
+      notes[0].version.should.equal(1);
+      notes[1].version.should.equal(5);
+      done();
+    });
+  });
+
+  it('increments the version on every update', function(done) {
+    Task.create({title: 'a'}, function(err, task) {
+      if (err) return done(err);
+      task.updateAttributes({title: 'b'}, function(err) {
+        if (err) return done(err);
+        Task.updateAll({id: task.id}, {title: 'c'}, function(err) {
+          if (err) return done(err);
+          Task.findById(task.id, function(err, found) {
+            if (err) return done(err);
+            found.should.have.properties({title: 'c', version: 3});
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects an update of a stale version', function(done) {
+    Task.create({title: 'a'}, function(err, task) {
+      if (err) return done(err);
+      Task.updateAll({id: task.id}, {title: 'b', version: 1}, function(err) {
+        if (err) return done(err);
+        Task.updateAll({id: task.id}, {title: 'c', version: 1},
+          function(err) {
+            err.should.have.properties({code: 'CONFLICT', statusCode: 409});
+            Task.findById(task.id, function(err, found) {
+              if (err) return done(err);
+              found.should.have.properties({title: 'b', version: 2});
+              done();
+            });
+          });
+      });
+    });
+  });
+
+  it('moves the instance on to the version it wrote', function(done) {
+    Task.create({title: 'a'}, function(err, task) {
+      if (err) return done(err);
+      task.updateAttributes({title: 'b'}, function(err) {
+        if (err) return done(err);
+        task.version.should.equal(2);
+        task.title = 'c';
+        task.save(function(err) {
+          if (err) return done(err);
+          task.version.should.equal(3);
+          task.updateAttributes({title: 'd'}, function(err) {
+            if (err) return done(err);
+            task.version.should.equal(4);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects updateAttributes of a stale instance', function(done) {
+    Task.create({title: 'a'}, function(err, task) {
+      if (err) return done(err);
+      Task.updateAll({id: task.id}, {title: 'b'}, function(err) {
+        if (err) return done(err);
+        task.updateAttributes({title: 'c'}, function(err) {
+          err.should.have.property('code', 'CONFLICT');
+          done();
+        });
+      });
+    });
+  });
+
+  it('counts no rows for an update that matches none', function(done) {
+    Task.updateAll({id: 999}, {title: 'b', version: 1},
+      function(err, info) {
+        if (err) return done(err);
+        info.count.should.equal(0);
+        done();
+      });
+  });
+
+  it('returns the new version from updateOrCreate', function(done) {
+    Task.create({id: 1, title: 'a'}, function(err) {
+      if (err) return done(err);
+      db.connector.updateOrCreate('VersionedTask',
+        {id: 1, title: 'b', version: 1}, {}, function(err, data, info) {
+          if (err) return done(err);
+          info.isNewInstance.should.be.false();
+          data.version.should.equal(2);
+          done();
+        });
+    });
+  });
+
+  it('rejects an upsert of a stale version', function(done) {
+    Task.create({id: 2, title: 'a', version: 5}, function(err) {
+      if (err) return done(err);
+      db.connector.updateOrCreate('VersionedTask',
+        {id: 2, title: 'b', version: 4}, {}, function(err) {
+          err.should.have.property('code', 'CONFLICT');
+          Task.findById(2, function(err, found) {
+            if (err) return done(err);
+            found.should.have.properties({title: 'a', version: 5});
+            done();
+          });
+        });
+    });
+  });
+});
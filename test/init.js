@@ -31,8 +31,8 @@ global.getDataSource = global.getSchema = function(options) {
 };
 
 global.connectorCapabilities = {
-  ilike: false,
-  nilike: false,
+  ilike: true,
+  nilike: true,
 };
 
 global.sinon = require('sinon');